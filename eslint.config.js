@@ -17,7 +17,9 @@ module.exports = [
 				__filename: "readonly",
 				exports: "writable",
 				module: "writable",
-				require: "readonly"
+				require: "readonly",
+				setTimeout: "readonly",
+				clearTimeout: "readonly"
 			}
 		},
 		rules: {
@@ -29,5 +31,26 @@ module.exports = [
 			"no-unused-vars": ["warn"],
 			"no-console": "off"
 		}
+	},
+	{
+		// Scripts that run inside the preview webview
+		files: ["media/**/*.js"],
+		languageOptions: {
+			sourceType: "script",
+			globals: {
+				window: "readonly",
+				document: "readonly",
+				Node: "readonly",
+				IntersectionObserver: "readonly",
+				MutationObserver: "readonly",
+				URL: "readonly",
+				Image: "readonly",
+				XMLSerializer: "readonly",
+				requestAnimationFrame: "readonly",
+				acquireVsCodeApi: "readonly",
+				hljs: "readonly",
+				mermaid: "readonly"
+			}
+		}
 	}
 ];
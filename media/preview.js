@@ -0,0 +1,907 @@
+/**
+ * Webview script for the Lightweight Markdown Preview
+ *
+ * The page shell is loaded once per panel. Rendered markdown arrives through
+ * "update" messages and is patched into the page block by block, so only
+ * the blocks that changed are re-highlighted, re-typeset or re-drawn.
+ *
+ * Settings from the extension are read from the #preview-settings meta tag.
+ * The same script runs in exported HTML pages, where the content is already
+ * in the page and there is no extension to talk to.
+ */
+(function () {
+	const settings = JSON.parse(document.getElementById("preview-settings").dataset.settings);
+	// Exported pages (settings.static) run outside VS Code with their content already in place
+	const vscode = settings.static ? undefined : acquireVsCodeApi();
+
+	const content = document.querySelector(".content");
+	const sidebar = document.querySelector(".toc-sidebar");
+	const tocBody = document.querySelector(".toc-body");
+	const toggleBtn = document.querySelector(".sidebar-toggle");
+	const closeBtn = document.querySelector(".toc-close");
+	const overlay = document.querySelector(".sidebar-overlay");
+	const historyNav = document.querySelector(".history-nav");
+	const backBtn = document.querySelector(".history-back");
+	const forwardBtn = document.querySelector(".history-forward");
+
+	// Source HTML of each top-level block (without data-line), used to detect changes.
+	// Rendered blocks can't be compared directly: Mermaid, MathJax and
+	// highlight.js all rewrite the DOM they are given.
+	const sourceKeys = new WeakMap();
+
+	// Document currently shown, so switching files resets the scroll position
+	let currentSource = undefined;
+	// Source line at the top, saved with vscode.setState (along with the document
+	// and settings.locked) so the preview can be restored after a reload
+	let currentLine = 0;
+
+	// Mermaid and MathJax runs are serialized; neither library likes overlapping calls
+	let mermaidQueue = Promise.resolve();
+	let mathJaxQueue = Promise.resolve();
+	// Settles once MathJax has loaded and run its startup typeset (see getMathJaxConfig).
+	// Before that, window.MathJax is only the configuration.
+	const mathJaxReady = window.MathJax && window.MathJax.version
+		? window.MathJax.startup.promise
+		: new Promise((resolve) => window.addEventListener("mathjax-ready", resolve, { once: true }));
+
+	// Diagram source of each .mermaid element, kept so diagrams can be redrawn on theme changes
+	const diagramSources = new WeakMap();
+
+	// "light" or "dark", whichever the page currently uses for libraries
+	let themeKind = undefined;
+
+	// Front matter can turn math off ("math: false"); MathJax then leaves the page alone
+	let mathEnabled = true;
+
+	// Diagrams and formulas that failed to render -> { source, message }, reported to the
+	// extension as diagnostics. Entries for elements no longer in the page are dropped.
+	const renderErrors = new Map();
+	// Whether the last report had errors, so an empty report is sent once they are fixed.
+	// The first report always goes out: it replaces whatever an earlier page reported.
+	let errorsReported = true;
+
+	/**
+	 * Works out whether the page is light or dark
+	 *
+	 * A forced theme wins. Otherwise the webview body classes VS Code sets
+	 * (vscode-light, vscode-dark, vscode-high-contrast[-light]) are used, and
+	 * exported pages fall back to prefers-color-scheme.
+	 */
+	function getThemeKind() {
+		if (settings.theme === "light" || settings.theme === "dark") {
+			return settings.theme;
+		}
+		const classes = document.body.classList;
+		if (classes.contains("vscode-high-contrast-light") || classes.contains("vscode-light")) {
+			return "light";
+		}
+		if (classes.contains("vscode-high-contrast") || classes.contains("vscode-dark")) {
+			return "dark";
+		}
+		return window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+	}
+
+	/**
+	 * Applies the current theme to the page, highlight.js and Mermaid
+	 *
+	 * Page colors come from CSS variables (see getPreviewStyles), and MathJax
+	 * output inherits the text color, so only the libraries need switching here.
+	 */
+	function applyTheme() {
+		if (settings.theme === "light" || settings.theme === "dark") {
+			document.documentElement.dataset.theme = settings.theme;
+		} else {
+			delete document.documentElement.dataset.theme;
+		}
+
+		const kind = getThemeKind();
+		if (kind === themeKind) {
+			return;
+		}
+		const firstRun = themeKind === undefined;
+		themeKind = kind;
+
+		const lightStyles = document.getElementById("highlightCssLight");
+		const darkStyles = document.getElementById("highlightCssDark");
+		if (lightStyles && darkStyles) {
+			lightStyles.disabled = kind === "dark";
+			darkStyles.disabled = kind !== "dark";
+		}
+
+		// Mermaid isn't loaded when turned off in the settings (or not needed by an exported page)
+		if (!window.mermaid) {
+			return;
+		}
+
+		// Initialize Mermaid with modern API
+		mermaid.initialize({
+			startOnLoad: false,
+			theme: kind === "dark" ? "dark" : "default",
+			securityLevel: settings.mermaidSecurityLevel || "loose",
+			// Failed diagrams get our error box (showRenderError) instead of Mermaid's bomb icon
+			suppressErrorRendering: true
+		});
+
+		if (!firstRun) {
+			redrawDiagrams();
+		}
+	}
+
+	// Puts every diagram back to its source and renders it again with the current Mermaid theme
+	function redrawDiagrams() {
+		const diagrams = Array.from(content.querySelectorAll(".mermaid")).filter((diagram) => diagramSources.has(diagram));
+		diagrams.forEach((diagram) => {
+			diagram.innerHTML = diagramSources.get(diagram);
+			diagram.removeAttribute("data-processed");
+		});
+		runMermaid(diagrams);
+	}
+
+	// Renders diagrams one at a time, so an error can be pinned on the diagram that caused it
+	function runMermaid(diagrams) {
+		if (window.mermaid && diagrams.length > 0) {
+			diagrams.forEach((diagram) => {
+				mermaidQueue = mermaidQueue
+					.then(() => mermaid.run({ nodes: [diagram] }))
+					.then(() => {
+						renderErrors.delete(diagram);
+						addDiagramToolbar(diagram);
+					})
+					.catch((error) => showRenderError(diagram, "Mermaid", error.str || error.message || String(error)));
+			});
+			mermaidQueue = mermaidQueue.then(reportRenderErrors);
+		}
+	}
+
+	/**
+	 * Shows why a diagram or formula failed to render, and records it for reportRenderErrors
+	 *
+	 * A diagram is replaced by an error box with Mermaid's message (redrawing
+	 * it puts the source back). MathJax already shows the faulty TeX in red,
+	 * so a formula is only outlined, with the message as its tooltip.
+	 */
+	function showRenderError(element, source, message) {
+		renderErrors.set(element, { source, message });
+		if (source === "MathJax") {
+			element.classList.add("math-error");
+			element.title = message;
+			return;
+		}
+		const box = document.createElement("div");
+		box.className = "render-error";
+		const title = document.createElement("div");
+		title.className = "render-error-title";
+		title.textContent = "Mermaid diagram could not be rendered";
+		box.append(title, message);
+		element.replaceChildren(box);
+	}
+
+	/**
+	 * Sends the current render errors to the extension, which shows them as diagnostics
+	 *
+	 * Each error is located at the source line of its top-level block, read
+	 * when reporting: edits above a block move it without re-rendering it.
+	 */
+	function reportRenderErrors() {
+		const errors = [];
+		renderErrors.forEach((error, element) => {
+			if (!element.isConnected) {
+				renderErrors.delete(element);
+				return;
+			}
+			const block = element.closest("[data-line]");
+			errors.push({ line: block ? Number(block.dataset.line) : 0, ...error });
+		});
+		if (errors.length > 0 || errorsReported) {
+			postMessage({ type: "renderErrors", source: currentSource, errors });
+		}
+		errorsReported = errors.length > 0;
+	}
+
+	/**
+	 * Adds the Copy SVG / Save as SVG / Save as PNG toolbar to a rendered diagram
+	 *
+	 * Only in the preview: the extension does the copying and saving. Diagrams
+	 * that failed to render have no SVG and get no toolbar. Redrawing a diagram
+	 * resets its content, toolbar included, so it is added again after each run.
+	 */
+	function addDiagramToolbar(diagram) {
+		if (!vscode || !diagram.isConnected || !diagram.querySelector(":scope > svg") ||
+			diagram.querySelector(":scope > .diagram-toolbar")) {
+			return;
+		}
+		const toolbar = document.createElement("div");
+		toolbar.className = "diagram-toolbar";
+		[["copy", "Copy SVG"], ["svg", "Save as SVG"], ["png", "Save as PNG"]].forEach(([action, label]) => {
+			const button = document.createElement("button");
+			button.type = "button";
+			button.dataset.action = action;
+			button.textContent = label;
+			toolbar.appendChild(button);
+		});
+		diagram.appendChild(toolbar);
+	}
+
+	/**
+	 * Serializes a rendered diagram as a standalone SVG file
+	 *
+	 * Mermaid sizes its SVG to the page (width="100%" and a max-width style);
+	 * the saved copy gets the diagram's own size from its viewBox instead.
+	 *
+	 * @returns {{svg: string, width: number, height: number}} SVG markup and size in pixels
+	 */
+	function getDiagramSvg(diagram) {
+		const source = diagram.querySelector(":scope > svg");
+		const box = source.viewBox.baseVal;
+		const bounds = source.getBoundingClientRect();
+		const width = Math.ceil(box && box.width ? box.width : bounds.width);
+		const height = Math.ceil(box && box.height ? box.height : bounds.height);
+
+		const svg = source.cloneNode(true);
+		svg.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+		svg.setAttribute("width", String(width));
+		svg.setAttribute("height", String(height));
+		svg.style.removeProperty("max-width");
+		return { svg: new XMLSerializer().serializeToString(svg), width, height };
+	}
+
+	/**
+	 * Draws SVG markup onto a canvas at twice its size, over the page background
+	 *
+	 * @returns {Promise<string>} A data:image/png;base64 URL
+	 */
+	function rasterizeSvg({ svg, width, height }) {
+		return new Promise((resolve, reject) => {
+			const image = new Image();
+			image.onload = () => {
+				const scale = 2;
+				const canvas = document.createElement("canvas");
+				canvas.width = width * scale;
+				canvas.height = height * scale;
+				const context = canvas.getContext("2d");
+				context.fillStyle = window.getComputedStyle(document.body).backgroundColor;
+				context.fillRect(0, 0, canvas.width, canvas.height);
+				context.drawImage(image, 0, 0, canvas.width, canvas.height);
+				try {
+					resolve(canvas.toDataURL("image/png"));
+				} catch (error) {
+					reject(error);
+				}
+			};
+			image.onerror = () => reject(new Error("The diagram could not be drawn as an image"));
+			image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+		});
+	}
+
+	/**
+	 * Names a diagram after the heading above it (its id), for file names
+	 */
+	function getDiagramName(diagram) {
+		let name = "diagram";
+		for (const element of content.querySelectorAll("h1[id], h2[id], h3[id], h4[id], h5[id], h6[id], .mermaid")) {
+			if (element === diagram) {
+				break;
+			}
+			if (!element.matches(".mermaid")) {
+				name = element.id;
+			}
+		}
+		return name;
+	}
+
+	/**
+	 * Converts every rendered diagram, once Mermaid is done, for the "Export Mermaid Diagrams" command
+	 *
+	 * @returns {Promise<Array<{name: string, data: string}>>} SVG markup or PNG data URLs, in page order
+	 */
+	function collectDiagrams(format) {
+		return mermaidQueue.then(() => {
+			const diagrams = Array.from(content.querySelectorAll(".mermaid")).filter((diagram) => diagram.querySelector(":scope > svg"));
+			return Promise.all(diagrams.map(async (diagram) => {
+				const svg = getDiagramSvg(diagram);
+				return { name: getDiagramName(diagram), data: format === "png" ? await rasterizeSvg(svg) : svg.svg };
+			}));
+		});
+	}
+
+	applyTheme();
+
+	// VS Code swaps the body classes when the color theme changes
+	new MutationObserver(applyTheme).observe(document.body, { attributes: true, attributeFilter: ["class"] });
+	window.matchMedia("(prefers-color-scheme: dark)").addEventListener("change", applyTheme);
+
+	/**
+	 * Parses rendered HTML into top-level block nodes with their change keys
+	 *
+	 * Whitespace between blocks is dropped, and stray top-level text (such as a
+	 * bare $$...$$ math block) is wrapped in a div so every block is an element
+	 * that MathJax can rewrite in place.
+	 */
+	function parseBlocks(html) {
+		const template = document.createElement("template");
+		template.innerHTML = html;
+
+		const blocks = [];
+		Array.from(template.content.childNodes).forEach((node) => {
+			let element = node;
+			if (node.nodeType === Node.TEXT_NODE) {
+				if (!node.textContent.trim()) {
+					return;
+				}
+				element = document.createElement("div");
+				element.appendChild(node);
+			} else if (node.nodeType !== Node.ELEMENT_NODE) {
+				return;
+			}
+
+			const line = element.getAttribute("data-line");
+			element.removeAttribute("data-line");
+			const key = element.outerHTML;
+			if (line !== null) {
+				element.setAttribute("data-line", line);
+			}
+			blocks.push({ element, key });
+		});
+		return blocks;
+	}
+
+	/**
+	 * Replaces the content with new rendered HTML, touching only changed blocks
+	 *
+	 * Unchanged blocks at the start and end are kept (only their data-line is
+	 * refreshed); everything in between is swapped for the new blocks.
+	 *
+	 * @returns {Element[]} The newly inserted blocks
+	 */
+	function patchContent(html) {
+		const newBlocks = parseBlocks(html);
+		const oldBlocks = Array.from(content.children);
+
+		let start = 0;
+		while (start < oldBlocks.length && start < newBlocks.length &&
+			sourceKeys.get(oldBlocks[start]) === newBlocks[start].key) {
+			syncSourceLine(oldBlocks[start], newBlocks[start].element);
+			start++;
+		}
+
+		let oldEnd = oldBlocks.length;
+		let newEnd = newBlocks.length;
+		while (oldEnd > start && newEnd > start &&
+			sourceKeys.get(oldBlocks[oldEnd - 1]) === newBlocks[newEnd - 1].key) {
+			syncSourceLine(oldBlocks[oldEnd - 1], newBlocks[newEnd - 1].element);
+			oldEnd--;
+			newEnd--;
+		}
+
+		const removed = oldBlocks.slice(start, oldEnd);
+		clearMath(removed);
+		removed.forEach((block) => block.remove());
+
+		const reference = oldBlocks[oldEnd] || null;
+		return newBlocks.slice(start, newEnd).map(({ element, key }) => {
+			sourceKeys.set(element, key);
+			content.insertBefore(element, reference);
+			return element;
+		});
+	}
+
+	function syncSourceLine(oldBlock, newBlock) {
+		const line = newBlock.getAttribute("data-line");
+		if (line === null) {
+			oldBlock.removeAttribute("data-line");
+		} else if (oldBlock.getAttribute("data-line") !== line) {
+			oldBlock.setAttribute("data-line", line);
+		}
+	}
+
+	/**
+	 * Highlights a code block whose lines are wrapped in .code-line spans
+	 *
+	 * hljs.highlightElement would replace the spans, so the whole text is
+	 * highlighted at once (keeping multi-line strings and comments right) and
+	 * the result is split back into the lines, closing and reopening the
+	 * highlight.js spans that cross a line break. Unknown languages stay plain.
+	 */
+	function highlightLines(code) {
+		const lines = Array.from(code.querySelectorAll(":scope > .code-line"));
+		const text = lines.map((line) => line.textContent).join("\n");
+		const language = (/\blanguage-(\S+)/.exec(code.className) || [])[1];
+		let result;
+		if (!language) {
+			result = hljs.highlightAuto(text);
+		} else if (hljs.getLanguage(language)) {
+			result = hljs.highlight(text, { language, ignoreIllegals: true });
+		} else {
+			return;
+		}
+		const open = [];
+		result.value.split("\n").forEach((part, index) => {
+			const html = open.join("") + part;
+			for (const [tag] of part.matchAll(/<\/?span[^>]*>/g)) {
+				if (tag === "</span>") {
+					open.pop();
+				} else {
+					open.push(tag);
+				}
+			}
+			lines[index].innerHTML = html + "</span>".repeat(open.length);
+		});
+		code.classList.add("hljs");
+	}
+
+	// Adds the copy button to a code block; it isn't part of the block's source HTML
+	function addCopyButton(block) {
+		if (block.querySelector(":scope > .code-copy")) {
+			return;
+		}
+		const button = document.createElement("button");
+		button.type = "button";
+		button.className = "code-copy";
+		button.textContent = "Copy";
+		block.appendChild(button);
+	}
+
+	/**
+	 * Runs syntax highlighting, Mermaid and MathJax on freshly inserted blocks
+	 */
+	function renderBlocks(blocks) {
+		// Task list checkboxes edit the source document (not in exported pages)
+		if (vscode) {
+			blocks.forEach((block) => {
+				block.querySelectorAll("input[data-task-line]").forEach((checkbox) => {
+					checkbox.disabled = false;
+				});
+			});
+		}
+
+		// Initialize highlight.js for syntax highlighting (not loaded when turned off)
+		try {
+			if (window.hljs) {
+				blocks.forEach((block) => {
+					block.querySelectorAll("pre code").forEach((code) => {
+						if (code.querySelector(":scope > .code-line")) {
+							highlightLines(code);
+						} else {
+							hljs.highlightElement(code);
+						}
+					});
+				});
+			}
+		} catch (error) {
+			console.error("Syntax highlighting failed:", error);
+		}
+
+		blocks.forEach((block) => {
+			if (block.matches(".code-block")) {
+				addCopyButton(block);
+			}
+			block.querySelectorAll(".code-block").forEach(addCopyButton);
+		});
+
+		const diagrams = [];
+		blocks.forEach((block) => {
+			if (block.matches(".mermaid")) {
+				diagrams.push(block);
+			}
+			diagrams.push(...block.querySelectorAll(".mermaid"));
+		});
+		diagrams.forEach((diagram) => diagramSources.set(diagram, diagram.innerHTML));
+		runMermaid(diagrams);
+
+		if (mathEnabled) {
+			typesetMath(blocks);
+		}
+	}
+
+	/**
+	 * Typesets math in the given blocks once MathJax has finished loading
+	 *
+	 * MathJax is loaded async. If it isn't there yet, its startup pass
+	 * typesets whatever is on the page by then; the formulas are still
+	 * queued behind it so their TeX errors are reported.
+	 */
+	function typesetMath(blocks) {
+		// Math is always wrapped in a .math element by the extension. Only those are
+		// typeset: TeX delimiters anywhere else in a block were escaped in the markdown.
+		const formulas = [];
+		blocks.forEach((block) => {
+			if (block.matches(".math")) {
+				formulas.push(block);
+			}
+			formulas.push(...block.querySelectorAll(".math"));
+		});
+		// No window.MathJax at all: math is turned off in the settings
+		if (!window.MathJax || formulas.length === 0) {
+			return;
+		}
+		mathJaxQueue = mathJaxQueue
+			.then(() => mathJaxReady)
+			.then(() => window.MathJax.typesetPromise(formulas))
+			.then(() => findMathErrors(formulas))
+			.catch((error) => console.error("MathJax rendering failed:", error));
+	}
+
+	// TeX errors don't reject the typeset: MathJax renders them with a data-mjx-error attribute
+	function findMathErrors(formulas) {
+		formulas.forEach((formula) => {
+			const error = formula.querySelector("[data-mjx-error]");
+			if (error) {
+				showRenderError(formula, "MathJax", error.getAttribute("data-mjx-error"));
+			}
+		});
+		reportRenderErrors();
+	}
+
+	// Tells MathJax to forget the math in blocks that are about to be removed
+	function clearMath(blocks) {
+		if (window.MathJax && window.MathJax.typesetClear && blocks.length > 0) {
+			window.MathJax.typesetClear(blocks);
+		}
+	}
+
+	function postMessage(message) {
+		if (vscode) {
+			vscode.postMessage(message);
+		}
+	}
+
+	function saveState(line) {
+		currentLine = line;
+		if (vscode) {
+			vscode.setState({ source: currentSource, locked: Boolean(settings.locked), line });
+		}
+	}
+
+	function updateToc(tocHtml) {
+		tocBody.innerHTML = tocHtml;
+		observeHeadings();
+	}
+
+	function observeHeadings() {
+		observer.disconnect();
+		content.querySelectorAll("h1, h2, h3, h4, h5, h6").forEach((heading) => {
+			if (heading.id) {
+				observer.observe(heading);
+			}
+		});
+	}
+
+	// Sidebar toggle functionality
+	// Flag to prevent observer updates immediately after user clicks a link
+	let isUserClicking = false;
+
+	// Open sidebar when toggle button clicked
+	toggleBtn.addEventListener("click", () => {
+		document.body.classList.add("sidebar-open");
+	});
+
+	// Close sidebar when close button clicked
+	closeBtn.addEventListener("click", () => {
+		document.body.classList.remove("sidebar-open");
+	});
+
+	// Close sidebar when overlay clicked
+	overlay.addEventListener("click", () => {
+		document.body.classList.remove("sidebar-open");
+	});
+
+	// Close sidebar on Escape key
+	document.addEventListener("keydown", (e) => {
+		if (e.key === "Escape") {
+			document.body.classList.remove("sidebar-open");
+		}
+	});
+
+	// Handle TOC link clicks for smooth scrolling (delegated, the TOC is replaced on updates)
+	tocBody.addEventListener("click", (e) => {
+		const link = e.target.closest(".toc-link");
+		if (!link) {
+			return;
+		}
+		e.preventDefault();
+		const id = link.getAttribute("href").substring(1);
+		const target = document.getElementById(id);
+		if (target) {
+			// Set flag to prevent observer from updating active state during scroll
+			isUserClicking = true;
+			setTimeout(() => { isUserClicking = false; }, 800);
+
+			target.scrollIntoView({ behavior: "smooth" });
+			updateActiveTOC(id);
+		}
+	});
+
+	// Update active TOC link based on scroll position and scroll TOC to show it
+	function updateActiveTOC(activeId) {
+		tocBody.querySelectorAll(".toc-link").forEach(link => {
+			link.classList.remove("active");
+			if (link.getAttribute("href") === "#" + activeId) {
+				link.classList.add("active");
+				// Only auto-scroll sidebar if it's open
+				if (document.body.classList.contains("sidebar-open")) {
+					// Scroll the TOC sidebar to make the active link visible
+					const linkTop = link.offsetTop;
+					const linkBottom = linkTop + link.offsetHeight;
+					const sidebarScrollTop = sidebar.scrollTop;
+					const sidebarHeight = sidebar.clientHeight;
+					const sidebarBottom = sidebarScrollTop + sidebarHeight;
+
+					// If link is above visible area, scroll up
+					if (linkTop < sidebarScrollTop) {
+						sidebar.scrollTop = linkTop - 50;
+					}
+					// If link is below visible area, scroll down
+					else if (linkBottom > sidebarBottom) {
+						sidebar.scrollTop = linkBottom - sidebarHeight + 50;
+					}
+				}
+			}
+		});
+	}
+
+	// Track which heading is in view as user scrolls
+	const observerOptions = {
+		root: null,
+		rootMargin: "-50% 0px -50% 0px",
+		threshold: 0
+	};
+
+	const observer = new IntersectionObserver((entries) => {
+		entries.forEach(entry => {
+			// Only update from scroll observer if user is not actively clicking a link
+			if (entry.isIntersecting && entry.target.id && !isUserClicking) {
+				updateActiveTOC(entry.target.id);
+			}
+		});
+	}, observerOptions);
+
+	// Links: in-page anchors scroll here; the extension resolves everything else
+	// (markdown files, other workspace files, external URLs). Exported pages
+	// keep the browser's own link handling.
+	function scrollToAnchor(fragment) {
+		const target = document.getElementById(fragment) || document.getElementsByName(fragment)[0];
+		if (target) {
+			target.scrollIntoView();
+		}
+	}
+
+	if (vscode) {
+		content.addEventListener("click", (e) => {
+			const link = e.target.closest("a[href]");
+			if (!link) {
+				return;
+			}
+			e.preventDefault();
+			const href = link.getAttribute("href");
+			if (href.startsWith("#")) {
+				let fragment = href.substring(1);
+				try {
+					fragment = decodeURIComponent(fragment);
+				} catch {
+					// Not percent-encoded after all
+				}
+				scrollToAnchor(fragment);
+			} else {
+				postMessage({ type: "openLink", href });
+			}
+		});
+
+		// Diagram toolbar: the extension copies to the clipboard or asks where to save
+		content.addEventListener("click", (e) => {
+			const button = e.target.closest(".diagram-toolbar button");
+			if (!button) {
+				return;
+			}
+			const diagram = button.closest(".mermaid");
+			const svg = getDiagramSvg(diagram);
+			const action = button.dataset.action;
+			if (action === "copy") {
+				postMessage({ type: "copyDiagram", data: svg.svg });
+			} else if (action === "svg") {
+				postMessage({ type: "saveDiagram", format: "svg", name: getDiagramName(diagram), data: svg.svg });
+			} else {
+				rasterizeSvg(svg)
+					.then((data) => postMessage({ type: "saveDiagram", format: "png", name: getDiagramName(diagram), data }))
+					.catch((error) => postMessage({ type: "diagramError", message: error.message }));
+			}
+		});
+
+		content.addEventListener("change", (e) => {
+			const checkbox = e.target;
+			if (checkbox.matches("input[data-task-line]")) {
+				postMessage({ type: "toggleTask", line: Number(checkbox.dataset.taskLine), checked: checkbox.checked });
+			}
+		});
+
+		backBtn.addEventListener("click", () => postMessage({ type: "navigate", direction: "back" }));
+		forwardBtn.addEventListener("click", () => postMessage({ type: "navigate", direction: "forward" }));
+		document.addEventListener("keydown", (e) => {
+			if (e.altKey && (e.key === "ArrowLeft" || e.key === "ArrowRight")) {
+				postMessage({ type: "navigate", direction: e.key === "ArrowLeft" ? "back" : "forward" });
+			}
+		});
+		// Mouse back/forward buttons
+		document.addEventListener("mouseup", (e) => {
+			if (e.button === 3 || e.button === 4) {
+				postMessage({ type: "navigate", direction: e.button === 3 ? "back" : "forward" });
+			}
+		});
+	}
+
+	// Copy button: the extension writes to the clipboard; exported pages use the browser's
+	content.addEventListener("click", (e) => {
+		const button = e.target.closest(".code-copy");
+		if (!button) {
+			return;
+		}
+		const text = button.closest(".code-block").querySelector("code").textContent.replace(/\n$/, "");
+		const copied = vscode
+			? Promise.resolve().then(() => postMessage({ type: "copyCode", text }))
+			: window.navigator.clipboard.writeText(text);
+		copied
+			.then(() => {
+				button.textContent = "Copied";
+				setTimeout(() => {
+					button.textContent = "Copy";
+				}, 1500);
+			})
+			.catch((error) => console.error("Copying code failed:", error));
+	});
+
+	// Scroll sync: top-level blocks carry the source line they start on
+	// (data-line). Positions between two blocks are interpolated.
+	let ignoreScrollUntil = 0;
+
+	function getLineBlocks() {
+		return Array.from(content.querySelectorAll(":scope > [data-line]")).map(el => ({
+			line: Number(el.dataset.line),
+			top: el.getBoundingClientRect().top + window.scrollY
+		}));
+	}
+
+	// Editor -> preview: scroll so the given source line is at the top
+	function scrollToLine(line) {
+		const blocks = getLineBlocks();
+		if (blocks.length === 0) {
+			return;
+		}
+
+		let previous = blocks[0];
+		let next = undefined;
+		for (const block of blocks) {
+			if (block.line <= line) {
+				previous = block;
+			} else {
+				next = block;
+				break;
+			}
+		}
+
+		let top = previous.top;
+		if (next && next.line > previous.line) {
+			top += (next.top - previous.top) * (line - previous.line) / (next.line - previous.line);
+		}
+
+		ignoreScrollUntil = Date.now() + settings.scrollEchoDelay;
+		window.scrollTo(0, Math.max(0, top));
+		saveState(line);
+	}
+
+	// Preview -> editor: the source line currently at the top of the preview
+	function getLineAtScrollTop() {
+		const blocks = getLineBlocks();
+		if (blocks.length === 0) {
+			return undefined;
+		}
+
+		const scrollTop = window.scrollY;
+		let index = 0;
+		while (index + 1 < blocks.length && blocks[index + 1].top <= scrollTop) {
+			index++;
+		}
+
+		const previous = blocks[index];
+		const next = blocks[index + 1];
+		if (!next || next.top <= previous.top) {
+			return previous.line;
+		}
+		const progress = Math.max(0, (scrollTop - previous.top) / (next.top - previous.top));
+		return previous.line + Math.floor((next.line - previous.line) * progress);
+	}
+
+	let scrollFrame = undefined;
+	window.addEventListener("scroll", () => {
+		if (Date.now() < ignoreScrollUntil || scrollFrame) {
+			return;
+		}
+		scrollFrame = requestAnimationFrame(() => {
+			scrollFrame = undefined;
+			const line = getLineAtScrollTop();
+			if (line !== undefined) {
+				saveState(line);
+				postMessage({ type: "revealLine", line });
+			}
+		});
+	});
+
+	window.addEventListener("message", (event) => {
+		const message = event.data;
+		switch (message.type) {
+		case "update": {
+			const math = message.math !== false;
+			let line = message.line;
+			if (message.source !== currentSource) {
+				// Different document: start from a clean page at the top
+				clearMath(Array.from(content.children));
+				content.replaceChildren();
+				currentSource = message.source;
+				currentLine = 0;
+				window.scrollTo(0, 0);
+			} else if (math !== mathEnabled) {
+				// Math switched on or off: typeset blocks can't be told apart from plain ones
+				clearMath(Array.from(content.children));
+				content.replaceChildren();
+				line = currentLine;
+			}
+			mathEnabled = math;
+			renderBlocks(patchContent(message.html));
+			// Errors of removed blocks go, and the others follow their blocks' new lines
+			reportRenderErrors();
+			updateToc(message.toc);
+			// Front matter "toc: false" hides the outline sidebar
+			document.body.classList.toggle("toc-hidden", message.showToc === false);
+			if (message.showToc === false) {
+				document.body.classList.remove("sidebar-open");
+			}
+			if (typeof line === "number") {
+				// Restore where this document was last scrolled to
+				scrollToLine(line);
+			} else {
+				saveState(currentLine);
+			}
+			break;
+		}
+		case "scrollToLine":
+			scrollToLine(message.line);
+			break;
+		case "scrollToAnchor":
+			scrollToAnchor(message.fragment);
+			break;
+		case "history":
+			historyNav.hidden = !message.back && !message.forward;
+			backBtn.disabled = !message.back;
+			forwardBtn.disabled = !message.forward;
+			break;
+		case "setTheme":
+			settings.theme = message.theme;
+			applyTheme();
+			break;
+		case "reloadStylesheets":
+			// A custom stylesheet was edited: a new query string makes the page fetch it again
+			document.querySelectorAll("link.custom-stylesheet").forEach((link) => {
+				const url = new URL(link.href);
+				url.searchParams.set("v", String(Date.now()));
+				link.href = url.toString();
+			});
+			break;
+		case "collectDiagrams":
+			collectDiagrams(message.format)
+				.then((diagrams) => postMessage({ type: "diagrams", id: message.id, diagrams }))
+				.catch((error) => postMessage({ type: "diagrams", id: message.id, error: error.message }));
+			break;
+		case "setAppearance":
+			Object.keys(message.properties).forEach((property) => {
+				document.documentElement.style.setProperty(property, message.properties[property]);
+			});
+			break;
+		}
+	});
+
+	if (settings.static) {
+		renderBlocks(Array.from(content.children));
+		observeHeadings();
+	} else {
+		// Ask the extension for the first render now that the listener is in place
+		postMessage({ type: "ready" });
+	}
+})();
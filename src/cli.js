@@ -0,0 +1,532 @@
+#!/usr/bin/env node
+/**
+ * Command-line renderer for the Lightweight Markdown Preview
+ *
+ * Builds the same HTML pages as the extension's HTML export, with the same
+ * pipeline (renderer.js) and page (page.js), so docs can be built in CI:
+ *
+ *     lmp render docs/ --out site/
+ *     lmp render docs/ --check
+ *     lmp render README.md --out site/ --watch
+ *
+ * Settings are read from .vscode/settings.json in the root folder, so pages
+ * match what writers see in the preview. The bundled libraries are read from
+ * dist/vendor, which "npm run build" creates.
+ *
+ * Needs Node.js 20.19 or later (package.json "engines"): marked is an ES
+ * module, loaded with require(), and --watch uses recursive fs.watch.
+ */
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { renderMarkdown, getLocalPath, resolveLocalPath, isMarkdownPath } = require("./renderer");
+const {
+	EXPORT_ASSETS_FOLDER,
+	EXPORT_ASSETS,
+	STYLE_PRESETS,
+	getAppearanceVariables,
+	getRenderSettings,
+	getPreviewSettings,
+	buildStaticPage,
+	rewriteMarkdownLinks,
+	exportResources,
+	placeInFolder,
+	replaceExtension,
+	getExportAssetPath,
+	getExportAssetFileName,
+} = require("./page");
+const { checkLinks, createIdLookup } = require("./links");
+const { capabilities } = require("../package.json");
+
+// Root of the extension, which asset and preset paths are relative to
+const EXTENSION_ROOT = path.join(__dirname, "..");
+
+// Prefix of the extension's keys in .vscode/settings.json
+const SETTINGS_PREFIX = "lightweightMarkdownPreview.";
+
+// Settings an untrusted workspace can't set, as in VS Code
+const RESTRICTED_SETTINGS = capabilities.untrustedWorkspaces.restrictedConfigurations;
+
+// Delay (ms) between the last change and rebuilding in --watch mode
+const WATCH_DELAY = 300;
+
+const USAGE = `Usage: lmp render <file or folder> [options]
+
+Renders markdown files to HTML pages, like "Export to HTML" in VS Code.
+A folder is rendered with all the markdown files below it.
+
+Options:
+  --out <folder>   Folder to write the pages to
+  --check          Report broken links, missing files and diagram syntax
+                   errors, and exit with status 1 if there are any
+  --watch          Render again whenever a file in the input folder changes
+  --root <folder>  Workspace folder: "/" paths start here and settings are read
+                   from its .vscode/settings.json (default: current folder)
+  --untrusted      Render as in an untrusted workspace
+  --help           Show this help`;
+
+/**
+ * Runs the command line
+ *
+ * @param {string[]} args - Command-line arguments, without node and the script
+ * @returns {Promise<number | undefined>} Exit status, or undefined while watching
+ */
+async function main(args) {
+	let parsed;
+	try {
+		parsed = parseArgs({
+			args,
+			allowPositionals: true,
+			options: {
+				out: { type: "string" },
+				check: { type: "boolean" },
+				watch: { type: "boolean" },
+				root: { type: "string" },
+				untrusted: { type: "boolean" },
+				help: { type: "boolean" },
+			},
+		});
+	} catch (error) {
+		console.error(`lmp: ${error.message}\n\n${USAGE}`);
+		return 2;
+	}
+
+	const { values, positionals } = parsed;
+	if (values.help) {
+		console.log(USAGE);
+		return 0;
+	}
+	if (positionals[0] !== "render" || positionals.length !== 2) {
+		console.error(USAGE);
+		return 2;
+	}
+	if (!values.out && !values.check) {
+		console.error("lmp: --out is required unless --check is given");
+		return 2;
+	}
+
+	const input = path.resolve(positionals[1]);
+	if (!fs.existsSync(input)) {
+		console.error(`lmp: ${positionals[1]} not found`);
+		return 2;
+	}
+	const root = path.resolve(values.root || ".");
+	const options = {
+		input,
+		root,
+		out: values.out ? path.resolve(values.out) : undefined,
+		check: values.check === true,
+		trusted: values.untrusted !== true,
+		settings: readSettings(root, values.untrusted !== true),
+	};
+
+	if (!values.watch) {
+		return build(options);
+	}
+	await build(options);
+	watch(options);
+	return undefined;
+}
+
+/**
+ * Renders the input, writes the pages and prints the problems found
+ *
+ * @param {Object} options - Parsed command line (see main)
+ * @returns {Promise<number>} 1 if --check found problems, otherwise 0
+ */
+async function build(options) {
+	const { input, root, out, settings } = options;
+	const inputFolder = fs.statSync(input).isDirectory() ? input : path.dirname(input);
+	const files = inputFolder === input ? findMarkdownFiles(input, out) : [input];
+	const renderOptions = getRenderOptions(settings, options.trusted, root);
+
+	const documents = files.map((file) => ({ file, result: renderFile(file, renderOptions) }));
+
+	if (out) {
+		writeAssets(out);
+		const copied = new Set();
+		for (const { file, result } of documents) {
+			const outputPath = path.join(out, replaceExtension(path.relative(inputFolder, file), ".html"));
+			const outputDir = path.dirname(outputPath);
+			const contentHtml = rewriteMarkdownLinks(await exportResources(result.html, toPosixPath(file), {
+				rootPath: renderOptions.rootPath,
+				readFile: readResource,
+				// Pages share files, which are copied once
+				writeFile: async (target, bytes) => {
+					if (!copied.has(target)) {
+						await fs.promises.mkdir(path.dirname(target), { recursive: true });
+						await fs.promises.writeFile(target, bytes);
+						copied.add(target);
+					}
+				},
+				placeResource: placeInFolder(toPosixPath(inputFolder), toPosixPath(out), toPosixPath(outputDir)),
+			}));
+			const page = await buildStaticPage({
+				title: result.meta.title || path.basename(replaceExtension(file, "")),
+				html: contentHtml,
+				headings: result.headings,
+				meta: result.meta,
+			}, {
+				settings: getPreviewSettings(settings, options.trusted),
+				appearance: getAppearanceVariables((key) => settings(key)),
+				styles: readStylesheets(settings, root),
+				highlight: settings("highlight.enabled", true),
+				assetBase: toPosixPath(path.relative(outputDir, path.join(out, EXPORT_ASSETS_FOLDER))),
+			});
+			fs.mkdirSync(outputDir, { recursive: true });
+			fs.writeFileSync(outputPath, page);
+		}
+		console.log(`Rendered ${documents.length} page(s) to ${path.relative(process.cwd(), out) || "."}`);
+	}
+
+	// Rendering problems are always shown; --check adds links and diagrams and fails on any
+	const problems = [];
+	const getIds = createIdLookup((filePath) => {
+		const document = documents.find((candidate) => path.resolve(candidate.file) === path.resolve(filePath));
+		return document ? document.result : isFile(filePath) ? renderFile(filePath, renderOptions) : undefined;
+	});
+	for (const { file, result } of documents) {
+		const found = result.diagnostics.map((diagnostic) => ({ file, ...diagnostic }));
+		if (options.check) {
+			found.push(...findBrokenLinks(file, result, getIds, renderOptions.rootPath));
+			found.push(...await checkDiagrams(file, result));
+		}
+		problems.push(...found.sort((a, b) => a.line - b.line));
+	}
+	problems.forEach(({ file, line, severity, message }) => {
+		console.log(`${path.relative(process.cwd(), file)}:${line + 1}: ${severity}: ${message}`);
+	});
+	if (options.check) {
+		console.log(problems.length ? `${problems.length} problem(s) found` : `Checked ${documents.length} file(s), no problems found`);
+		return problems.length ? 1 : 0;
+	}
+	return 0;
+}
+
+/**
+ * Rebuilds whenever something in the input folder changes, until interrupted
+ *
+ * Changes are batched (WATCH_DELAY), and changes inside the output folder
+ * are ignored so writing the pages doesn't trigger another build.
+ *
+ * @param {Object} options - Parsed command line (see main)
+ */
+function watch(options) {
+	const folder = fs.statSync(options.input).isDirectory() ? options.input : path.dirname(options.input);
+	let timer = undefined;
+	let building = Promise.resolve();
+	try {
+		fs.watch(folder, { recursive: true }, (event, fileName) => {
+			const changed = path.resolve(folder, String(fileName || ""));
+			if (options.out && isInside(changed, options.out)) {
+				return;
+			}
+			clearTimeout(timer);
+			timer = setTimeout(() => {
+				building = building.then(() => build(options)).catch((error) => console.error(`lmp: ${error.message}`));
+			}, WATCH_DELAY);
+		});
+	} catch (error) {
+		console.error(`lmp: can't watch ${folder}: ${error.message}`);
+		process.exitCode = 2;
+		return;
+	}
+	console.log(`Watching ${path.relative(process.cwd(), folder) || "."} for changes (Ctrl+C to stop)`);
+}
+
+/**
+ * Reads the extension's settings from the workspace's .vscode/settings.json
+ *
+ * Like VS Code, an untrusted workspace's values of the restricted settings
+ * (RESTRICTED_SETTINGS) are ignored.
+ *
+ * @param {string} root - Workspace folder
+ * @param {boolean} trusted - Whether to read as in a trusted workspace
+ * @returns {function(string, *): *} Returns a setting by its name without the
+ *   "lightweightMarkdownPreview." prefix, or the default when it isn't set
+ */
+function readSettings(root, trusted) {
+	const settingsPath = path.join(root, ".vscode", "settings.json");
+	let values = {};
+	if (fs.existsSync(settingsPath)) {
+		try {
+			values = parseJsonWithComments(fs.readFileSync(settingsPath, "utf8"));
+		} catch (error) {
+			console.error(`lmp: ignoring ${settingsPath}: ${error.message}`);
+		}
+	}
+	return (key, defaultValue) => {
+		const name = SETTINGS_PREFIX + key;
+		const value = trusted || !RESTRICTED_SETTINGS.includes(name) ? values[name] : undefined;
+		return value === undefined ? defaultValue : value;
+	};
+}
+
+/**
+ * Parses JSON as VS Code writes settings: with comments and trailing commas
+ *
+ * @param {string} text - Contents of a settings.json file
+ * @returns {Object} The parsed settings
+ */
+function parseJsonWithComments(text) {
+	// Strings are matched first so "//" or "," inside them are left alone
+	const json = text
+		.replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || "")
+		.replace(/("(?:\\.|[^"\\])*")|,(\s*[}\]])/g, (match, string, end) => string || end);
+	return JSON.parse(json);
+}
+
+/**
+ * Returns the renderMarkdown options for the settings (see getRenderSettings)
+ *
+ * @param {function(string, *): *} settings - Settings from readSettings
+ * @param {boolean} trusted - Whether to render as in a trusted workspace
+ * @param {string} root - Workspace folder, which "/" paths are relative to
+ * @returns {Object} Options for renderMarkdown, without documentPath
+ */
+function getRenderOptions(settings, trusted, root) {
+	return {
+		...getRenderSettings(settings, trusted),
+		rootPath: toPosixPath(root),
+		readFile: (filePath) => {
+			try {
+				return fs.readFileSync(filePath, "utf8");
+			} catch {
+				return undefined;
+			}
+		},
+	};
+}
+
+/**
+ * Renders a markdown file
+ *
+ * Local images, video and audio keep the URL they are written with (see
+ * exportResources); missing ones become placeholders and diagnostics.
+ *
+ * @param {string} file - The markdown file
+ * @param {Object} renderOptions - Options from getRenderOptions
+ * @returns {Object} The renderMarkdown result
+ */
+function renderFile(file, renderOptions) {
+	const documentPath = toPosixPath(file);
+	return renderMarkdown(fs.readFileSync(file, "utf8"), {
+		...renderOptions,
+		documentPath,
+		resolveResource: (url) => {
+			const filePath = resolveLocalPath(getLocalPath(url), documentPath, renderOptions.rootPath);
+			return !filePath || fs.existsSync(filePath) ? url : undefined;
+		},
+	});
+}
+
+/**
+ * Finds the markdown files in a folder, skipping hidden folders, node_modules
+ * and the output folder
+ *
+ * @param {string} folder - Folder to search
+ * @param {string} [out] - Output folder, which may be inside it
+ * @returns {string[]} Paths of the markdown files, sorted
+ */
+function findMarkdownFiles(folder, out) {
+	const files = [];
+	fs.readdirSync(folder, { withFileTypes: true }).forEach((entry) => {
+		const entryPath = path.join(folder, entry.name);
+		if (entry.isDirectory()) {
+			if (!entry.name.startsWith(".") && entry.name !== "node_modules" && entryPath !== out) {
+				files.push(...findMarkdownFiles(entryPath, out));
+			}
+		} else if (isMarkdownPath(entry.name)) {
+			files.push(entryPath);
+		}
+	});
+	return files.sort();
+}
+
+/**
+ * Copies the scripts and styles exported pages load into the "_assets" folder
+ *
+ * @param {string} out - Output folder
+ */
+function writeAssets(out) {
+	const assetsFolder = path.join(out, EXPORT_ASSETS_FOLDER);
+	fs.mkdirSync(assetsFolder, { recursive: true });
+	EXPORT_ASSETS.forEach((name) => {
+		const assetPath = path.join(EXTENSION_ROOT, ...getExportAssetPath(name));
+		if (!fs.existsSync(assetPath)) {
+			throw new Error(`${path.relative(EXTENSION_ROOT, assetPath)} is missing, run "npm run build" first`);
+		}
+		fs.copyFileSync(assetPath, path.join(assetsFolder, getExportAssetFileName(name)));
+	});
+}
+
+/**
+ * Returns the custom stylesheets (style preset, then lightweightMarkdownPreview.styles)
+ *
+ * Relative paths are resolved against the workspace folder; a stylesheet
+ * that can't be read is left out with a warning.
+ *
+ * @param {function(string, *): *} settings - Settings from readSettings
+ * @param {string} root - Workspace folder
+ * @returns {string[]} CSS text of each stylesheet
+ */
+function readStylesheets(settings, root) {
+	const files = [];
+	const preset = STYLE_PRESETS[settings("stylePreset", "none")];
+	if (preset) {
+		files.push(path.join(EXTENSION_ROOT, ...preset.file));
+	}
+	settings("styles", []).forEach((stylePath) => {
+		if (typeof stylePath === "string" && stylePath.trim()) {
+			files.push(path.resolve(root, stylePath));
+		}
+	});
+
+	const styles = [];
+	files.forEach((file) => {
+		try {
+			styles.push(fs.readFileSync(file, "utf8"));
+		} catch (error) {
+			console.error(`lmp: can't read stylesheet ${file}: ${error.message}`);
+		}
+	});
+	return styles;
+}
+
+/**
+ * Reads a local file for exportResources
+ *
+ * @param {string} filePath - The file's path
+ * @returns {Promise<Buffer | undefined>} Its contents, or undefined if it isn't a readable file
+ */
+async function readResource(filePath) {
+	try {
+		return await fs.promises.readFile(filePath);
+	} catch {
+		return undefined;
+	}
+}
+
+/**
+ * Reports the broken links of a document, with the closest heading or file
+ * name as a hint. Missing media are already in the renderer's diagnostics.
+ *
+ * @param {string} file - The markdown file
+ * @param {Object} result - Its renderMarkdown result
+ * @param {function(string): (Set<string>|undefined)} getIds - Returns the ids in a markdown file
+ * @param {string} rootPath - Workspace folder, which "/" paths are relative to
+ * @returns {Array<{file: string, line: number, severity: string, message: string}>} The problems found
+ */
+function findBrokenLinks(file, result, getIds, rootPath) {
+	return checkLinks(result, toPosixPath(file), {
+		rootPath,
+		exists: (filePath) => fs.existsSync(filePath),
+		getIds,
+		listFolder: (folder) => {
+			try {
+				return fs.readdirSync(folder);
+			} catch {
+				return undefined;
+			}
+		},
+		media: false,
+		text: fs.readFileSync(file, "utf8"),
+	}).map(({ line, message, suggestions }) => ({
+		file,
+		line,
+		severity: "error",
+		message: suggestions.length ? `${message}, did you mean "${suggestions[0]}"?` : message,
+	}));
+}
+
+/**
+ * Parses the document's Mermaid diagrams, loading Mermaid only when there are any
+ *
+ * @param {string} file - The markdown file
+ * @param {Object} result - Its renderMarkdown result
+ * @returns {Promise<Array<{file: string, line: number, severity: string, message: string}>>} The diagrams
+ *   that don't parse
+ */
+async function checkDiagrams(file, result) {
+	if (result.diagrams.length === 0) {
+		return [];
+	}
+	const mermaid = await loadMermaid();
+	const problems = [];
+	for (const { line, source } of result.diagrams) {
+		try {
+			await mermaid.parse(source);
+		} catch (error) {
+			// Mermaid's messages quote the source between the first and last line
+			const lines = String(error.message || error).split("\n");
+			const message = lines.length > 1 ? `${lines[0]} ${lines[lines.length - 1]}` : lines[0];
+			problems.push({ file, line, severity: "error", message: `Diagram syntax error: ${message}` });
+		}
+	}
+	return problems;
+}
+
+/**
+ * Loads Mermaid for parsing diagrams in Node
+ *
+ * Mermaid sanitizes labels with DOMPurify, which has no addHook or sanitize
+ * without a DOM, so parsing any diagram with labels would throw. Parsing only
+ * checks the syntax and nothing is displayed, so labels are passed through.
+ *
+ * @returns {Promise<Object>} The mermaid API
+ */
+async function loadMermaid() {
+	const { default: DOMPurify } = await import("dompurify");
+	if (!DOMPurify.isSupported) {
+		DOMPurify.addHook = () => {};
+		DOMPurify.sanitize = (text) => text;
+	}
+	const { default: mermaid } = await import("mermaid");
+	return mermaid;
+}
+
+/**
+ * @param {string} filePath - A path
+ * @returns {boolean} Whether it is an existing file
+ */
+function isFile(filePath) {
+	try {
+		return fs.statSync(filePath).isFile();
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * @param {string} filePath - A path
+ * @param {string} folder - A folder
+ * @returns {boolean} Whether the path is inside the folder
+ */
+function isInside(filePath, folder) {
+	const relativePath = path.relative(folder, filePath);
+	return relativePath !== "" && !relativePath.startsWith("..") && !path.isAbsolute(relativePath);
+}
+
+/**
+ * @param {string} filePath - A native path
+ * @returns {string} The path with "/" separators, as renderer.js expects
+ */
+function toPosixPath(filePath) {
+	return filePath.split(path.sep).join("/");
+}
+
+if (require.main === module) {
+	main(process.argv.slice(2)).then(
+		(status) => {
+			if (status !== undefined) {
+				process.exitCode = status;
+			}
+		},
+		(error) => {
+			console.error(`lmp: ${error.message}`);
+			process.exitCode = 2;
+		}
+	);
+}
+
+module.exports = { main };
@@ -1,790 +1,1587 @@
+const fs = require("fs");
+const path = require("path");
 const vscode = require("vscode");
-const { marked } = require("marked");
+const {
+	renderMarkdown,
+	generateTOC,
+	decodeUriComponentSafe,
+	getLocalPath,
+	isMarkdownPath,
+} = require("./renderer");
+const {
+	LIBRARIES,
+	PREVIEW_SCRIPT,
+	EXPORT_ASSETS_FOLDER,
+	EXPORT_ASSETS,
+	APPEARANCE_SETTINGS,
+	STYLE_PRESETS,
+	getAppearanceVariables,
+	getRenderSettings,
+	getPreviewSettings,
+	getWebviewContent,
+	buildStaticPage,
+	rewriteMarkdownLinks,
+	exportResources,
+	placeInFolder,
+	placeInFilesFolder,
+	replaceExtension,
+	uniqueFileName,
+	getExportAssetPath,
+	getExportAssetFileName,
+} = require("./page");
+const { checkLinks, createIdLookup } = require("./links");
+
+const CDN_ORIGIN = "https://cdn.jsdelivr.net";
+
+// Delay (ms) between the last edit and re-rendering the preview
+const UPDATE_DELAY = 300;
+
+// How long (ms) a programmatic scroll on one side suppresses syncing back from the other
+const SCROLL_ECHO_DELAY = 150;
+
+// Settings that decide what the page shell loads, and how; changing one reloads the shell
+const SHELL_SETTINGS = [
+	"loadLibrariesFromCdn",
+	"highlight.enabled",
+	"math.enabled",
+	"mermaid.enabled",
+	"mermaid.securityLevel",
+	"stylePreset",
+	"styles",
+];
+
+// Settings read by renderMarkdown; changing one re-renders the document
+const RENDER_SETTINGS = ["frontMatter", "callouts", "toc.enabled", "code.lineNumbers", "html.allowedElements"];
 
 /**
  * Activation function - called when the extension loads
  *
  * This extension provides a lightweight Markdown preview with Mermaid diagram and MathJax support.
- * It maintains a single webview panel that reuses across different markdown files.
+ * By default it maintains a single shared webview panel that is reused across different markdown
+ * files. Locked previews are bound to one document and can be opened side by side.
  *
  * State managed:
- * - currentPanel: The active preview panel (or undefined if closed)
- * - currentDocument: The markdown document currently being previewed
+ * - sharedPreview: The reusable preview (or undefined if closed)
+ * - renderDiagnostics: Mermaid and MathJax errors reported by the previews, per document
+ * - linkValidator: Broken links in markdown files, see createLinkValidator
  *
- * This approach prevents resource exhaustion and keeps the extension lightweight.
+ * Everything else (document, timers, listeners) belongs to each preview, see createPreview.
  *
  * @param {vscode.ExtensionContext} context - Extension context provided by VS Code
  */
 function activate(context) {
 	console.log("lightweightMarkdownViewer extension activated");
-	// Keep track of current panel to avoid duplicates and enable updates
-	let currentPanel = undefined;
-	let currentDocument = undefined;
+	// Keep track of the shared preview to avoid duplicates
+	let sharedPreview = undefined;
+	// Every open preview, shared and locked
+	const previews = new Set();
+	// Diagrams and formulas that failed to render in a preview, shown in the Problems panel
+	const renderDiagnostics = vscode.languages.createDiagnosticCollection("lightweightMarkdownPreview");
+	// Broken links in open markdown files (and every file after "Check Links in Workspace")
+	const linkValidator = createLinkValidator(context);
+
+	const trackPreview = (preview) => {
+		previews.add(preview);
+		preview.panel.onDidDispose(() => previews.delete(preview));
+		return preview;
+	};
+
+	const setSharedPreview = (preview) => {
+		sharedPreview = preview;
+		preview.panel.onDidDispose(() => {
+			sharedPreview = undefined;
+		});
+	};
 
 	const disposable = vscode.commands.registerCommand(
 		"lightweightMarkdownViewer.showPreview",
 		function () {
-			const editor = vscode.window.activeTextEditor;
-			if (!editor) {
-				vscode.window.showErrorMessage("No active editor");
+			const doc = getActiveMarkdownDocument();
+			if (!doc) {
 				return;
 			}
 
-			const doc = editor.document;
-			if (doc.languageId !== "markdown") {
-				vscode.window.showErrorMessage("Not a Markdown file");
+			if (sharedPreview) {
+				// If panel exists, reveal it and switch it to this document
+				sharedPreview.panel.reveal(vscode.ViewColumn.Beside);
+				sharedPreview.showDocument(doc);
+			} else {
+				setSharedPreview(trackPreview(createPreview(context, renderDiagnostics, createPreviewPanel(context.extensionUri), doc, false)));
+			}
+		}
+	);
+
+	// Follow mode: the shared preview switches to whichever markdown editor becomes active
+	const activeEditorSubscription = vscode.window.onDidChangeActiveTextEditor((editor) => {
+		if (
+			sharedPreview &&
+			editor &&
+			editor.document.languageId === "markdown" &&
+			editor.document.uri.toString() !== sharedPreview.document.uri.toString() &&
+			getConfig().get("followActiveEditor", false)
+		) {
+			sharedPreview.showDocument(editor.document);
+		}
+	});
+
+	// Every locked preview gets its own panel, even for a document that is already previewed
+	const lockedPreviewCommand = vscode.commands.registerCommand(
+		"lightweightMarkdownViewer.showLockedPreview",
+		function () {
+			const doc = getActiveMarkdownDocument();
+			if (doc) {
+				trackPreview(createPreview(context, renderDiagnostics, createPreviewPanel(context.extensionUri), doc, true));
+			}
+		}
+	);
+
+	// Bring previews back after a window reload, from the state saved by the webview
+	const serializer = vscode.window.registerWebviewPanelSerializer("markdownPreviewBasic", {
+		async deserializeWebviewPanel(panel, state) {
+			let doc = undefined;
+			try {
+				doc = state && state.source
+					? await vscode.workspace.openTextDocument(vscode.Uri.parse(state.source))
+					: undefined;
+			} catch {
+				// The file was deleted or moved since the window was closed
+			}
+			if (!doc) {
+				panel.dispose();
 				return;
 			}
 
-			if (currentPanel) {
-				// If panel exists, reveal it and update content
-				currentPanel.reveal(vscode.ViewColumn.Beside);
-				currentDocument = doc;
-				updateWebviewContent(currentPanel, doc);
-			} else {
-				// Create new panel with proper options
-				const workspaceFolders = vscode.workspace.workspaceFolders;
-				const localResourceRoots = [context.extensionUri];
+			panel.webview.options = getWebviewOptions(context.extensionUri);
+			// Only one shared preview can exist; any extra one comes back locked
+			const locked = Boolean(state.locked) || sharedPreview !== undefined;
+			const line = typeof state.line === "number" ? state.line : undefined;
+			const preview = trackPreview(createPreview(context, renderDiagnostics, panel, doc, locked, line));
+			if (!locked) {
+				setSharedPreview(preview);
+			}
+		},
+	});
 
-				// Add workspace folder(s) to allow access to markdown files and images
-				if (workspaceFolders) {
-					localResourceRoots.push(...workspaceFolders.map(folder => folder.uri));
+	// Export a file, or a folder of markdown files, to standalone HTML
+	const exportCommand = vscode.commands.registerCommand(
+		"lightweightMarkdownViewer.exportHtml",
+		async function (uri) {
+			let target = uri instanceof vscode.Uri ? uri : undefined;
+			if (!target) {
+				const doc = getActiveMarkdownDocument();
+				if (!doc) {
+					return;
 				}
+				target = doc.uri;
+			}
 
-				currentPanel = vscode.window.createWebviewPanel(
-					"markdownPreviewBasic",
-					"Markdown Preview",
-					vscode.ViewColumn.Beside,
-					{
-						enableScripts: true, // Required for Mermaid to work
-						localResourceRoots: localResourceRoots,
-						retainContextWhenHidden: true,
-					}
-				);
+			try {
+				const stat = await vscode.workspace.fs.stat(target);
+				if (stat.type & vscode.FileType.Directory) {
+					await exportFolder(target, context.extensionUri);
+				} else {
+					await exportFile(target, context.extensionUri);
+				}
+			} catch (error) {
+				vscode.window.showErrorMessage(`Failed to export HTML: ${error.message}`);
+			}
+		}
+	);
+
+	// Pick one of the built-in style presets for this workspace
+	const stylePresetCommand = vscode.commands.registerCommand(
+		"lightweightMarkdownViewer.selectStylePreset",
+		async function () {
+			try {
+				await selectStylePreset();
+			} catch (error) {
+				vscode.window.showErrorMessage(`Failed to change the preview style: ${error.message}`);
+			}
+		}
+	);
 
-				currentDocument = doc;
-				updateWebviewContent(currentPanel, doc);
+	// Save every diagram of a document; the preview renders them, so one is opened if needed
+	const exportDiagramsCommand = vscode.commands.registerCommand(
+		"lightweightMarkdownViewer.exportDiagrams",
+		async function () {
+			let preview = Array.from(previews).find((candidate) => candidate.panel.active);
+			if (!preview) {
+				const doc = getActiveMarkdownDocument();
+				if (!doc) {
+					return;
+				}
+				preview = Array.from(previews).find((candidate) => candidate.document.uri.toString() === doc.uri.toString());
+				if (!preview) {
+					await vscode.commands.executeCommand("lightweightMarkdownViewer.showPreview");
+					preview = sharedPreview;
+				}
+			}
+			if (!preview) {
+				vscode.window.showInformationMessage("Open a Markdown preview to export its diagrams");
+				return;
+			}
 
-				// Handle panel disposal
-				currentPanel.onDidDispose(
-					() => {
-						currentPanel = undefined;
-						currentDocument = undefined;
-					},
-					null,
-					context.subscriptions
-				);
+			try {
+				await exportDiagrams(preview);
+			} catch (error) {
+				vscode.window.showErrorMessage(`Failed to export diagrams: ${error.message}`);
 			}
 		}
 	);
 
-	// Listen for document changes to update preview in real-time
-	const changeDocumentSubscription = vscode.workspace.onDidChangeTextDocument(
-		(e) => {
-			if (
-				currentPanel &&
-				currentDocument &&
-				e.document.uri.toString() === currentDocument.uri.toString()
-			) {
-				updateWebviewContent(currentPanel, e.document);
+	// Check the links of every markdown file in the workspace, open or not
+	const checkLinksCommand = vscode.commands.registerCommand(
+		"lightweightMarkdownViewer.checkLinks",
+		async function () {
+			try {
+				await linkValidator.checkWorkspace();
+			} catch (error) {
+				vscode.window.showErrorMessage(`Failed to check links: ${error.message}`);
 			}
 		}
 	);
 
 	context.subscriptions.push(disposable);
-	context.subscriptions.push(changeDocumentSubscription);
+	context.subscriptions.push(lockedPreviewCommand);
+	context.subscriptions.push(exportCommand);
+	context.subscriptions.push(stylePresetCommand);
+	context.subscriptions.push(exportDiagramsCommand);
+	context.subscriptions.push(checkLinksCommand);
+	context.subscriptions.push(activeEditorSubscription);
+	context.subscriptions.push(serializer);
+	context.subscriptions.push(renderDiagnostics);
 }
 
 /**
- * Resolves and converts image paths to webview-accessible URIs
+ * Returns the markdown document in the active editor
  *
- * Handles:
- * - Relative paths: Resolved relative to the markdown file's directory
- * - Absolute file paths: Converted to webview-accessible URIs
- * - HTTPS URLs: Passed through unchanged
- * - Data URIs: Passed through unchanged
+ * Shows an error message and returns undefined when there is no active
+ * editor or it doesn't hold a markdown file.
  *
- * @param {string} imagePath - The image path from markdown
- * @param {vscode.TextDocument} document - The markdown document
- * @param {vscode.WebviewPanel} panel - The webview panel for URI conversion
- * @returns {string} The converted image path or original if not a local file
+ * @returns {vscode.TextDocument | undefined} The active markdown document
  */
-function resolveImagePath(imagePath, document, panel) {
-	// Skip external URLs and data URIs
-	if (imagePath.startsWith("http://") || imagePath.startsWith("https://") || imagePath.startsWith("data:")) {
-		return imagePath;
+function getActiveMarkdownDocument() {
+	const editor = vscode.window.activeTextEditor;
+	if (!editor) {
+		vscode.window.showErrorMessage("No active editor");
+		return undefined;
 	}
-
-	try {
-		const documentPath = document.uri;
-		const documentDir = documentPath.with({ path: documentPath.path.substring(0, documentPath.path.lastIndexOf("/")) });
-
-		// Resolve relative path against document directory
-		let imagePath_parsed;
-		if (imagePath.startsWith("/")) {
-			// Absolute path - treat as workspace-relative
-			const workspaceFolders = vscode.workspace.workspaceFolders;
-			if (workspaceFolders && workspaceFolders.length > 0) {
-				imagePath_parsed = vscode.Uri.joinPath(workspaceFolders[0].uri, imagePath);
-			} else {
-				return imagePath;
-			}
-		} else {
-			// Relative path - resolve against document directory
-			imagePath_parsed = vscode.Uri.joinPath(documentDir, imagePath);
-		}
-
-		// Convert to webview-accessible URI
-		return panel.webview.asWebviewUri(imagePath_parsed).toString();
-	} catch (error) {
-		console.error(`Failed to resolve image path: ${imagePath}`, error);
-		return imagePath; // Return original if resolution fails
+	if (editor.document.languageId !== "markdown") {
+		vscode.window.showErrorMessage("Not a Markdown file");
+		return undefined;
 	}
+	return editor.document;
 }
 
 /**
- * Extracts headings from markdown raw text
+ * Creates an empty webview panel for a preview
  *
- * Parses markdown headings and returns a nested structure
- * for generating a table of contents.
- *
- * Importantly, this function ignores headings inside code blocks (```...```)
- * to avoid including comment lines from code samples in the TOC.
- *
- * @param {string} raw - The raw markdown text
- * @returns {Array} Array of heading objects with level, text, and id
+ * @param {vscode.Uri} extensionUri - Extension root URI
+ * @returns {vscode.WebviewPanel} The new panel, opened beside the editor
  */
-function extractHeadings(raw) {
-	const headings = [];
-	const lines = raw.split("\n");
-	let insideCodeBlock = false;
-
-	lines.forEach((line, index) => {
-		// Track if we're entering or exiting a code block
-		if (line.match(/^```/)) {
-			insideCodeBlock = !insideCodeBlock;
-			return; // Don't process code fence lines
+function createPreviewPanel(extensionUri) {
+	return vscode.window.createWebviewPanel(
+		"markdownPreviewBasic",
+		"Markdown Preview",
+		vscode.ViewColumn.Beside,
+		{
+			...getWebviewOptions(extensionUri),
+			retainContextWhenHidden: true,
 		}
+	);
+}
 
-		// Only extract headings if we're NOT inside a code block
-		if (!insideCodeBlock) {
-			const match = line.match(/^(#{1,6})\s+(.+)$/);
-			if (match) {
-				const level = match[1].length;
-				const text = match[2].trim();
-				// Create a URL-friendly ID from heading text
-				const id = `heading-${text.toLowerCase().replace(/[^\w\s-]/g, "").replace(/\s+/g, "-")}-${index}`;
+/**
+ * Returns the webview options shared by new and restored preview panels
+ *
+ * @param {vscode.Uri} extensionUri - Extension root URI
+ * @returns {vscode.WebviewOptions} Options enabling scripts and local resources
+ */
+function getWebviewOptions(extensionUri) {
+	const workspaceFolders = vscode.workspace.workspaceFolders;
+	const localResourceRoots = [extensionUri];
 
-				headings.push({ level, text, id, lineIndex: index });
-			}
-		}
-	});
+	// Add workspace folder(s) to allow access to markdown files and images
+	if (workspaceFolders) {
+		localResourceRoots.push(...workspaceFolders.map(folder => folder.uri));
+	}
 
-	return headings;
+	return {
+		enableScripts: true, // Required for Mermaid to work
+		localResourceRoots: localResourceRoots,
+	};
 }
 
 /**
- * Updates the webview content with rendered markdown
+ * Turns a webview panel into a live preview of a document
  *
- * This is the core rendering pipeline:
- * 1. Extract mermaid diagram blocks (before markdown parsing)
- * 2. Extract math expressions - both inline ($...$) and block ($$...$$)
- * 3. Convert markdown to HTML using marked library
- * 4. Restore mermaid and math blocks with preservation markers
- * 5. Process image paths to resolve relative paths to webview URIs
- * 6. Inject HTML into webview with proper CSP and styling
+ * Each preview owns its listeners (document edits, editor scrolling, settings
+ * and webview messages) and disposes them when its panel is closed, so any
+ * number of previews can be open at once.
  *
- * Why extraction happens first:
- * - marked parser would escape backticks/delimiters in mermaid & math syntax
- * - Pre-processing preserves code and math integrity
- * - Mermaid v11 renders elements with class="mermaid"
- * - MathJax processes restored math delimiters correctly
+ * State managed per preview:
+ * - document: The markdown document being previewed
+ * - ignoreEditorScrollUntil: Timestamp until which editor scrolling is not synced to the preview
+ * - updateTimer: Debounce timer for re-rendering after edits
+ * - scrollLines: Last known top line per document, restored when switching back to it
+ * - backHistory / forwardHistory: Documents visited by clicking links, for back/forward
  *
- * @param {vscode.WebviewPanel} panel - The webview to update
- * @param {vscode.TextDocument} document - The markdown document to render
+ * @param {vscode.ExtensionContext} context - Extension context provided by VS Code
+ * @param {vscode.DiagnosticCollection} renderDiagnostics - Where the page's render errors are published
+ * @param {vscode.WebviewPanel} panel - The panel to render into
+ * @param {vscode.TextDocument} document - The markdown document to preview
+ * @param {boolean} locked - Whether the preview stays bound to this document
+ * @param {number} [line] - Source line to start at, when restoring a preview
+ * @returns {{panel: vscode.WebviewPanel, document: vscode.TextDocument, locked: boolean, showDocument: function(vscode.TextDocument): void}} The preview
  */
-function updateWebviewContent(panel, document) {
-	try {
-		let raw = document.getText();
-		const preservedBlocks = [];
-
-		// Extract headings for TOC
-		const headings = extractHeadings(raw);
+function createPreview(context, renderDiagnostics, panel, document, locked, line) {
+	// Editor scrolls caused by the preview are not echoed back to it
+	let ignoreEditorScrollUntil = 0;
+	// Pending debounced render after a document change
+	let updateTimer = undefined;
+	// Document URI -> source line at the top of the preview
+	const scrollLines = new Map();
+	if (line !== undefined) {
+		scrollLines.set(document.uri.toString(), line);
+	}
 
-		// Extract block math ($$...$$) - must come before inline math
-		raw = raw.replace(/\$\$\s*\n([\s\S]*?)\$\$/g, (_, code) => {
-			preservedBlocks.push({ type: "math-block", content: `$$\n${code}$$` });
-			return `<!--PRESERVED_${preservedBlocks.length - 1}-->`;
+	// Messages for the page, held back while a page shell is loading
+	let shellReady = false;
+	const pendingMessages = [];
+	const postWhenReady = (message) => {
+		if (shellReady) {
+			panel.webview.postMessage(message);
+		} else {
+			pendingMessages.push(message);
+		}
+	};
+	// Diagram requests waiting for the page's answer, by request id
+	const diagramRequests = new Map();
+	let nextRequestId = 1;
+
+	const preview = {
+		panel,
+		document,
+		locked,
+		showDocument(doc) {
+			clearTimeout(updateTimer);
+			updateTimer = undefined;
+			// Errors are only known for the document on show
+			renderDiagnostics.delete(preview.document.uri);
+			preview.document = doc;
+			render(scrollLines.get(doc.uri.toString()));
+		},
+		// Asks the page for its rendered diagrams, see exportDiagrams
+		collectDiagrams(format) {
+			return new Promise((resolve, reject) => {
+				const id = nextRequestId++;
+				diagramRequests.set(id, { resolve, reject });
+				postWhenReady({ type: "collectDiagrams", id, format });
+			});
+		},
+	};
+
+	// Watchers for the files the current document includes, keyed by URI
+	const includeWatchers = new Map();
+
+	// Renders the current document; front matter may rename the panel
+	const render = (line) => {
+		const result = updateWebviewContent(panel, preview.document, line);
+		panel.title = getPreviewTitle(preview.document, locked, result && result.meta.title);
+		if (result) {
+			watchIncludes(result.includes);
+		}
+	};
+
+	// Renders once a burst of changes is over
+	const scheduleRender = () => {
+		clearTimeout(updateTimer);
+		updateTimer = setTimeout(() => {
+			updateTimer = undefined;
+			render();
+		}, UPDATE_DELAY);
+	};
+
+	// Keeps a watcher on each included file (missing ones too, in case they
+	// are created); saving one re-renders. Edits in an editor come through
+	// onDidChangeTextDocument below.
+	const watchIncludes = (uris) => {
+		const keys = new Set(uris.map((uri) => uri.toString()));
+		includeWatchers.forEach((watcher, key) => {
+			if (!keys.has(key)) {
+				watcher.dispose();
+				includeWatchers.delete(key);
+			}
 		});
-
-		// Extract inline math ($...$) - protect from marked escaping
-		raw = raw.replace(/\$([^$\n]+)\$/g, (_, code) => {
-			preservedBlocks.push({ type: "math-inline", content: `$${code}$` });
-			return `<!--PRESERVED_${preservedBlocks.length - 1}-->`;
+		uris.forEach((uri) => {
+			if (includeWatchers.has(uri.toString())) {
+				return;
+			}
+			const watcher = vscode.workspace.createFileSystemWatcher(
+				new vscode.RelativePattern(vscode.Uri.joinPath(uri, ".."), path.posix.basename(uri.path))
+			);
+			watcher.onDidChange(scheduleRender);
+			watcher.onDidCreate(scheduleRender);
+			watcher.onDidDelete(scheduleRender);
+			includeWatchers.set(uri.toString(), watcher);
 		});
+	};
 
-		// Replace mermaid code blocks with <pre class="mermaid">...</pre>
-		// Process this BEFORE marked to avoid markdown escaping issues
-		raw = raw.replace(
-			/```mermaid\s*\n([\s\S]*?)```/g,
-			(match, code) => {
-				preservedBlocks.push({ type: "mermaid", content: `<pre class="mermaid">${code.trim()}</pre>` });
-				return `<!--PRESERVED_${preservedBlocks.length - 1}-->`;
-			}
-		);
+	const isPreviewed = (doc) => doc.uri.toString() === preview.document.uri.toString();
+	const rememberLine = (line) => scrollLines.set(preview.document.uri.toString(), line);
 
-		// Render markdown to HTML
-		let html = marked(raw);
+	// URIs of the documents left by following links (or going back/forward)
+	const backHistory = [];
+	const forwardHistory = [];
 
-		// Add IDs to headings for anchor linking
-		headings.forEach(heading => {
-			const headingTag = `<h${heading.level}>`;
-			const headingTagWithId = `<h${heading.level} id="${heading.id}">`;
-			html = html.replace(headingTag, headingTagWithId);
+	// Loads a document into this preview, recording the current one in `from`
+	const navigate = async (uri, fragment, from) => {
+		const doc = await vscode.workspace.openTextDocument(uri);
+		if (!isPreviewed(doc)) {
+			from.push(preview.document.uri);
+			preview.showDocument(doc);
+		}
+		if (fragment) {
+			panel.webview.postMessage({ type: "scrollToAnchor", fragment });
+		}
+		panel.webview.postMessage({
+			type: "history",
+			back: backHistory.length > 0,
+			forward: forwardHistory.length > 0,
 		});
+	};
 
-		// Restore preserved blocks
-		html = html.replace(/<!--PRESERVED_(\d+)-->/g, (match, index) => {
-			const block = preservedBlocks[parseInt(index)];
-			if (block.type === "mermaid") {
-				return block.content;
-			} else if (block.type === "math-block") {
-				return block.content;
-			} else if (block.type === "math-inline") {
-				return block.content;
-			}
-			return match;
+	// A link in the preview was clicked; in-page anchors never get here
+	const openLink = async (href) => {
+		const link = resolveLink(href, preview.document.uri);
+		if (!link) {
+			return;
+		}
+		if (link.external) {
+			await vscode.env.openExternal(link.uri);
+		} else if (!isMarkdownPath(link.uri.path)) {
+			await vscode.commands.executeCommand("vscode.open", link.uri);
+		} else if (getConfig(preview.document.uri).get("openMarkdownLinks", "inPreview") === "inEditor") {
+			await showInEditor(link.uri, link.fragment, preview.document);
+		} else {
+			forwardHistory.length = 0;
+			await navigate(link.uri, link.fragment, backHistory);
+		}
+	};
+
+	// Watchers for the stylesheets the current page shell loads; an edit reloads them in the page
+	let styleWatchers = [];
+	const loadShell = () => {
+		shellReady = false;
+		styleWatchers.forEach((watcher) => watcher.dispose());
+		const stylesheets = loadWebviewShell(panel, context.extensionUri, locked, preview.document.uri);
+		styleWatchers = stylesheets.map((uri) => {
+			const watcher = vscode.workspace.createFileSystemWatcher(
+				new vscode.RelativePattern(vscode.Uri.joinPath(uri, ".."), path.posix.basename(uri.path))
+			);
+			const reload = () => panel.webview.postMessage({ type: "reloadStylesheets" });
+			watcher.onDidChange(reload);
+			watcher.onDidCreate(reload);
+			watcher.onDidDelete(reload);
+			return watcher;
 		});
+	};
 
-		// Process image paths to resolve relative paths
-		html = html.replace(/<img\s+src="([^"]+)"/g, (match, imagePath) => {
-			const resolvedPath = resolveImagePath(imagePath, document, panel);
-			return `<img src="${resolvedPath}"`;
-		});
+	// Back/forward through the link history
+	const stepHistory = async (fromHistory, toHistory) => {
+		const uri = fromHistory.pop();
+		if (uri) {
+			await navigate(uri, "", toHistory);
+		}
+	};
+
+	const listeners = [
+		panel.webview.onDidReceiveMessage((message) => {
+			if (message.type === "ready") {
+				render(scrollLines.get(preview.document.uri.toString()));
+				shellReady = true;
+				pendingMessages.splice(0).forEach((pending) => panel.webview.postMessage(pending));
+			} else if (message.type === "diagrams") {
+				const request = diagramRequests.get(message.id);
+				diagramRequests.delete(message.id);
+				if (request && message.error) {
+					request.reject(new Error(String(message.error)));
+				} else if (request) {
+					request.resolve(Array.isArray(message.diagrams) ? message.diagrams : []);
+				}
+			} else if (message.type === "copyDiagram") {
+				vscode.env.clipboard.writeText(String(message.data)).then(() => {
+					vscode.window.setStatusBarMessage("Diagram copied as SVG", 3000);
+				});
+			} else if (message.type === "renderErrors") {
+				// Reports for a document the preview has already left are dropped
+				if (message.source === preview.document.uri.toString()) {
+					renderDiagnostics.set(preview.document.uri, getRenderDiagnostics(preview.document, message.errors));
+				}
+			} else if (message.type === "copyCode") {
+				vscode.env.clipboard.writeText(String(message.text));
+			} else if (message.type === "saveDiagram") {
+				saveDiagram(preview.document, message).catch((error) => {
+					vscode.window.showErrorMessage(`Failed to save diagram: ${error.message}`);
+				});
+			} else if (message.type === "diagramError") {
+				vscode.window.showErrorMessage(`Failed to save diagram: ${message.message}`);
+			} else if (message.type === "toggleTask") {
+				toggleTask(preview.document, message.line, Boolean(message.checked)).catch((error) => {
+					vscode.window.showErrorMessage(`Failed to update task: ${error.message}`);
+				});
+			} else if (message.type === "openLink") {
+				openLink(String(message.href)).catch((error) => {
+					vscode.window.showErrorMessage(`Failed to open link: ${error.message}`);
+				});
+			} else if (message.type === "navigate") {
+				const forward = message.direction === "forward";
+				stepHistory(forward ? forwardHistory : backHistory, forward ? backHistory : forwardHistory).catch((error) => {
+					vscode.window.showErrorMessage(`Failed to open document: ${error.message}`);
+				});
+			} else if (message.type === "revealLine") {
+				rememberLine(message.line);
+				// Preview -> editor scroll sync
+				if (getConfig(preview.document.uri).get("scrollEditorWithPreview", true)) {
+					ignoreEditorScrollUntil = Date.now() + SCROLL_ECHO_DELAY;
+					revealLineInEditors(preview.document, message.line);
+				}
+			}
+		}),
 
-		// Generate nonce for CSP
-		const nonce = getNonce();
+		// Listen for changes to the document and the files it includes to update
+		// preview in real-time. Updates are debounced so a burst of keystrokes renders once.
+		vscode.workspace.onDidChangeTextDocument((e) => {
+			if (isPreviewed(e.document) || includeWatchers.has(e.document.uri.toString())) {
+				scheduleRender();
+			}
+		}),
+
+		// Settings apply to the open preview right away. Workspace and folder
+		// settings of the previewed document win over user settings.
+		vscode.workspace.onDidChangeConfiguration((e) => {
+			const affects = (key) => e.affectsConfiguration(`lightweightMarkdownPreview.${key}`, preview.document.uri);
+			if (SHELL_SETTINGS.some(affects)) {
+				// The reloaded page asks for content again, which applies everything else
+				loadShell();
+				return;
+			}
+			// Forced theme changed: the webview follows VS Code's own theme changes by itself
+			if (affects("theme")) {
+				panel.webview.postMessage({
+					type: "setTheme",
+					theme: getConfig(preview.document.uri).get("theme", "auto"),
+				});
+			}
+			if (Object.keys(APPEARANCE_SETTINGS).some(affects)) {
+				panel.webview.postMessage({
+					type: "setAppearance",
+					properties: getAppearance(preview.document.uri),
+				});
+			}
+			if (RENDER_SETTINGS.some(affects)) {
+				render();
+			}
+		}),
 
-		panel.webview.html = getWebviewContent(html, nonce, headings);
-	} catch (error) {
-		vscode.window.showErrorMessage(
-			`Failed to render markdown: ${error.message}`
-		);
-	}
+		// Trusting the workspace relaxes sanitizing and Mermaid's security level
+		vscode.workspace.onDidGrantWorkspaceTrust(() => loadShell()),
+
+		// Editor -> preview scroll sync
+		vscode.window.onDidChangeTextEditorVisibleRanges((e) => {
+			if (
+				isPreviewed(e.textEditor.document) &&
+				e.visibleRanges.length > 0 &&
+				Date.now() >= ignoreEditorScrollUntil &&
+				getConfig(preview.document.uri).get("scrollPreviewWithEditor", true)
+			) {
+				const line = e.visibleRanges[0].start.line;
+				rememberLine(line);
+				panel.webview.postMessage({ type: "scrollToLine", line });
+			}
+		}),
+	];
+
+	// Closing the panel only tears down this preview
+	panel.onDidDispose(
+		() => {
+			clearTimeout(updateTimer);
+			updateTimer = undefined;
+			listeners.forEach((listener) => listener.dispose());
+			styleWatchers.forEach((watcher) => watcher.dispose());
+			includeWatchers.forEach((watcher) => watcher.dispose());
+			diagramRequests.forEach((request) => request.reject(new Error("The preview was closed")));
+			diagramRequests.clear();
+			renderDiagnostics.delete(preview.document.uri);
+		},
+		null,
+		context.subscriptions
+	);
+
+	panel.title = getPreviewTitle(document, locked);
+	// Content is sent once the page shell reports "ready"
+	loadShell();
+	return preview;
 }
 
 /**
- * Generates nested TOC HTML from headings array
+ * Builds the panel title for a preview, named after the previewed file
  *
- * @param {Array} headings - Array of heading objects with level, text, id
- * @returns {string} HTML for the nested TOC list
+ * @param {vscode.TextDocument} document - The previewed markdown document
+ * @param {boolean} locked - Whether the preview is locked to the document
+ * @param {string} [title] - Title from front matter, used instead of the file name
+ * @returns {string} Panel title, e.g. "Preview README.md" or "[Preview] README.md"
  */
-function generateTOC(headings) {
-	if (headings.length === 0) return "<p style=\"font-size: 0.9em; color: #888;\">No headings found</p>";
-
-	let tocHtml = "<ul class=\"toc-list\">";
-	let currentLevel = 0;
-
-	headings.forEach((heading) => {
-		// Close deeper levels
-		while (currentLevel >= heading.level) {
-			tocHtml += "</ul>";
-			currentLevel--;
-		}
-
-		// Open new levels
-		while (currentLevel < heading.level - 1) {
-			tocHtml += "<ul class=\"toc-list\">";
-			currentLevel++;
-		}
+function getPreviewTitle(document, locked, title) {
+	const fileName = title || path.posix.basename(document.uri.path);
+	return locked ? `[Preview] ${fileName}` : `Preview ${fileName}`;
+}
 
-		if (currentLevel < heading.level) {
-			tocHtml += "<ul class=\"toc-list\">";
-			currentLevel++;
-		}
+/**
+ * Returns the extension's configuration section
+ *
+ * @param {vscode.Uri} [scope] - Document the settings are for, so folder settings apply in multi-root workspaces
+ * @returns {vscode.WorkspaceConfiguration} The lightweightMarkdownPreview settings
+ */
+function getConfig(scope) {
+	return vscode.workspace.getConfiguration("lightweightMarkdownPreview", scope);
+}
 
-		tocHtml += `<li class="toc-item toc-level-${heading.level}"><a href="#${heading.id}" class="toc-link">${heading.text}</a></li>`;
-	});
+/**
+ * Returns the rendering options from the user's settings (see getRenderSettings)
+ *
+ * Transcluded paths are resolved like links (see resolveLocalResource):
+ * against the document's folder, or its workspace folder for "/" paths.
+ *
+ * @param {vscode.Uri} scope - Document being rendered, which transcluded paths are relative to
+ * @returns {Object} Options for renderMarkdown, without resolveResource
+ */
+function getRenderOptions(scope) {
+	const config = getConfig(scope);
+	const folder = vscode.workspace.getWorkspaceFolder(scope) || (vscode.workspace.workspaceFolders || [])[0];
+	return {
+		...getRenderSettings((key, defaultValue) => config.get(key, defaultValue), vscode.workspace.isTrusted),
+		documentPath: scope.path,
+		rootPath: folder ? folder.uri.path : undefined,
+		readFile: (filePath) => readIncludedFile(scope.with({ path: filePath })),
+	};
+}
 
-	// Close all open levels
-	while (currentLevel > 0) {
-		tocHtml += "</ul>";
-		currentLevel--;
+/**
+ * Reads a file included by a transclusion
+ *
+ * Rendering is synchronous, so files are read from disk directly; a file
+ * open in an editor is read from the editor instead, unsaved edits included.
+ *
+ * @param {vscode.Uri} uri - The included file
+ * @returns {string | undefined} The file's text, or undefined if it can't be read
+ */
+function readIncludedFile(uri) {
+	const openDocument = vscode.workspace.textDocuments.find((doc) => doc.uri.toString() === uri.toString());
+	if (openDocument) {
+		return openDocument.getText();
 	}
+	if (uri.scheme !== "file") {
+		return undefined;
+	}
+	try {
+		return fs.readFileSync(uri.fsPath, "utf8");
+	} catch {
+		return undefined;
+	}
+}
 
-	return tocHtml;
-}
-
-/**
- * Generates the complete HTML content for the webview
- *
- * This function creates a sandboxed HTML environment with:
- * - Security: Content Security Policy with nonce-based scripts
- * - Styling: Clean, minimal design that works in light and dark themes
- * - Interactivity: Mermaid diagrams and MathJax equations rendered via CDN
- * - Navigation: Collapsible overlay TOC sidebar for document outline (Option 3 pattern)
- *
- * CSP (Content Security Policy) breakdown:
- * - default-src 'none': Block everything by default (secure)
- * - img-src https: data: vscode-resource: Allow images from HTTPS, data URIs, and local files
- * - script-src 'nonce-*': Only allow scripts with matching nonce
- * - style-src 'unsafe-inline': Allow inline styles (needed for rendering)
- * - font-src https: data: Allow fonts from HTTPS and data URIs (for MathJax)
- *
- * Sidebar Pattern (Overlay - Option 3):
- * - Sidebar is hidden by default, slides in from left when opened
- * - Clicking overlay or close button closes the sidebar
- * - Escape key also closes the sidebar
- * - Content width remains consistent (no reflow)
- * - Uses transform: translateX() for smooth, GPU-accelerated animation
- *
- * Mermaid Configuration:
- * - startOnLoad: false - We call mermaid.run() explicitly
- * - securityLevel: loose - Allows all diagram types
- * - CDN: jsDelivr for reliability and caching
- *
- * MathJax Configuration:
- * - Loads tex-mml-chtml renderer from CDN
- * - Supports inline ($...$) and display ($$...$$) math notation
- *
- * @param {string} markdownHtml - Already-rendered HTML from marked
- * @param {string} nonce - Security token for CSP (random string)
- * @param {Array} headings - Array of heading objects for TOC generation
- * @returns {string} Complete HTML page
- */
-function getWebviewContent(markdownHtml, nonce, headings = []) {
-	const tocHtml = generateTOC(headings);
-
-	return `<!DOCTYPE html>
-<html lang="en">
-<head>
-	<meta charset="UTF-8">
-	<meta name="viewport" content="width=device-width, initial-scale=1.0">
-	<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src https: data: vscode-resource:; script-src 'nonce-${nonce}' https://cdn.jsdelivr.net; style-src 'unsafe-inline' https://cdn.jsdelivr.net; font-src https: data:;">
-	<title>Markdown Preview</title>
-	<link rel="stylesheet" href="https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11/build/styles/atom-one-light.min.css">
-	<style>
-		* {
-			box-sizing: border-box;
-		}
-
-		body {
-			font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-			line-height: 1.6;
-			margin: 0;
-			padding: 0;
-			background: #fff;
-		}
+/**
+ * Returns the CSS variables for the appearance settings (see getAppearanceVariables)
+ *
+ * @param {vscode.Uri} [scope] - Document being previewed or exported
+ * @returns {Object<string, string>} CSS values keyed by custom property name
+ */
+function getAppearance(scope) {
+	const config = getConfig(scope);
+	return getAppearanceVariables((key) => config.get(key));
+}
 
-		/* Hamburger toggle button */
-		.sidebar-toggle {
-			position: fixed;
-			top: 10px;
-			right: 10px;
-			z-index: 1001;
-			background: transparent;
-			color: #333;
-			border: 1px solid #d0d0d0;
-			padding: 12px 16px;
-			cursor: pointer;
-			border-radius: 4px;
-			font-size: 1.5em;
-			font-weight: normal;
-			transition: background 0.2s ease, border-color 0.2s ease;
-			line-height: 1;
-		}
+/**
+ * Returns the settings passed to the preview script that depend on the document's settings
+ * (see getPreviewSettings)
+ *
+ * @param {vscode.Uri} [scope] - Document being previewed or exported
+ * @returns {{theme: string, mermaidSecurityLevel: string}} Values for the #preview-settings meta tag
+ */
+function getPageSettings(scope) {
+	const config = getConfig(scope);
+	return getPreviewSettings((key, defaultValue) => config.get(key, defaultValue), vscode.workspace.isTrusted);
+}
 
-		.sidebar-toggle:hover {
-			background: #f5f5f5;
-			border-color: #999;
-		}
+/**
+ * Returns the stylesheets added after the built-in styles, in order
+ *
+ * The style preset comes first, then lightweightMarkdownPreview.styles.
+ * Relative paths are resolved against the document's workspace folder (or
+ * its own folder outside a workspace). Only files inside the workspace
+ * folders can be loaded by the preview.
+ *
+ * @param {vscode.Uri} extensionUri - Root of the installed extension, holding the presets
+ * @param {vscode.Uri} [scope] - Document being previewed or exported
+ * @returns {vscode.Uri[]} The stylesheet files
+ */
+function getStylesheets(extensionUri, scope) {
+	const config = getConfig(scope);
+	const stylesheets = [];
 
-		.sidebar-toggle:active {
-			background: #e8e8e8;
-		}
+	const preset = STYLE_PRESETS[config.get("stylePreset", "none")];
+	if (preset) {
+		stylesheets.push(vscode.Uri.joinPath(extensionUri, ...preset.file));
+	}
 
-		/* Overlay backdrop */
-		.sidebar-overlay {
-			position: fixed;
-			top: 0;
-			left: 0;
-			right: 0;
-			bottom: 0;
-			background: rgba(0, 0, 0, 0.5);
-			opacity: 0;
-			pointer-events: none;
-			transition: opacity 0.3s ease;
-			z-index: 1000;
+	const folder = scope ? vscode.workspace.getWorkspaceFolder(scope) : undefined;
+	const base = folder ? folder.uri : scope && vscode.Uri.joinPath(scope, "..");
+	config.get("styles", []).forEach((stylePath) => {
+		if (typeof stylePath !== "string" || !stylePath.trim()) {
+			return;
 		}
-
-		body.sidebar-open .sidebar-overlay {
-			opacity: 1;
-			pointer-events: auto;
+		if (path.isAbsolute(stylePath)) {
+			stylesheets.push(vscode.Uri.file(stylePath));
+		} else if (base) {
+			stylesheets.push(vscode.Uri.joinPath(base, stylePath));
 		}
+	});
+	return stylesheets;
+}
 
-		/* TOC Sidebar - Overlay pattern */
-		.toc-sidebar {
-			position: fixed;
-			right: 0;
-			top: 0;
-			height: 100vh;
-			width: 280px;
-			background: #f9f9f9;
-			border-left: 1px solid #e0e0e0;
-			overflow-y: auto;
-			padding: 20px;
-			font-size: 0.9em;
-			z-index: 1001;
-			transform: translateX(100%);
-			transition: transform 0.3s ease;
-		}
+/**
+ * Lets the user pick a style preset and saves it to the workspace settings
+ *
+ * Without an open folder the preset is saved to the user settings instead.
+ */
+async function selectStylePreset() {
+	const current = getConfig().get("stylePreset", "none");
+	const items = [
+		{ label: "Default", description: "Built-in styles only", preset: "none" },
+		...Object.keys(STYLE_PRESETS).map((preset) => ({
+			label: STYLE_PRESETS[preset].label,
+			description: STYLE_PRESETS[preset].description,
+			preset,
+		})),
+	].map((item) => (item.preset === current ? { ...item, detail: "Current style" } : item));
+
+	const picked = await vscode.window.showQuickPick(items, { placeHolder: "Select a preview style" });
+	if (!picked) {
+		return;
+	}
+	const target = vscode.workspace.workspaceFolders
+		? vscode.ConfigurationTarget.Workspace
+		: vscode.ConfigurationTarget.Global;
+	await getConfig().update("stylePreset", picked.preset, target);
+}
 
-		body.sidebar-open .toc-sidebar {
-			transform: translateX(0);
-		}
+/**
+ * Scrolls every visible editor showing the document so the line is at the top
+ *
+ * Used when the preview is scrolled. The line comes from the webview, so it
+ * is clamped to the document before use.
+ *
+ * @param {vscode.TextDocument} document - The previewed markdown document
+ * @param {number} line - Zero-based source line reported by the webview
+ */
+function revealLineInEditors(document, line) {
+	const sourceLine = Math.max(0, Math.min(Math.floor(Number(line) || 0), document.lineCount - 1));
+	const range = new vscode.Range(sourceLine, 0, sourceLine, 0);
+	vscode.window.visibleTextEditors
+		.filter((editor) => editor.document.uri.toString() === document.uri.toString())
+		.forEach((editor) => editor.revealRange(range, vscode.TextEditorRevealType.AtTop));
+}
 
-		/* Close button in sidebar header */
-		.toc-header {
-			display: flex;
-			justify-content: space-between;
-			align-items: center;
-			font-size: 0.85em;
-			font-weight: 600;
-			text-transform: uppercase;
-			letter-spacing: 0.5px;
-			color: #666;
-			margin-bottom: 12px;
-			padding-bottom: 8px;
-			border-bottom: 1px solid #e0e0e0;
-		}
+/**
+ * Resolves a path from markdown to the local file it points to
+ *
+ * Handles:
+ * - Relative paths: Resolved relative to the markdown file's directory
+ * - Absolute paths (starting with /): Relative to the document's workspace
+ *   folder (the first folder for documents outside the workspace)
+ * - URLs with a scheme (https:, data:, mailto:...): Not local, returns undefined
+ *
+ * @param {string} resourcePath - The path as written in the markdown
+ * @param {vscode.Uri} documentUri - URI of the markdown document
+ * @returns {vscode.Uri | undefined} The local file URI, or undefined if the path isn't local
+ */
+function resolveLocalResource(resourcePath, documentUri) {
+	// Skip external URLs and data URIs
+	if (/^[a-z][a-z0-9+.-]*:/i.test(resourcePath)) {
+		return undefined;
+	}
 
-		.toc-close {
-			background: none;
-			border: none;
-			font-size: 1.5em;
-			color: #666;
-			cursor: pointer;
-			padding: 0;
-			display: flex;
-			align-items: center;
-			justify-content: center;
-			width: 28px;
-			height: 28px;
-			border-radius: 3px;
-			transition: background 0.2s ease;
-		}
+	if (resourcePath.startsWith("/")) {
+		// Absolute path - treat as relative to the document's workspace folder
+		const folder = vscode.workspace.getWorkspaceFolder(documentUri) || (vscode.workspace.workspaceFolders || [])[0];
+		return folder ? vscode.Uri.joinPath(folder.uri, resourcePath) : undefined;
+	}
 
-		.toc-close:hover {
-			background: #e8f0ff;
-			color: #0066cc;
-		}
+	// Relative path - resolve against document directory
+	const documentDir = documentUri.with({ path: documentUri.path.substring(0, documentUri.path.lastIndexOf("/")) });
+	return vscode.Uri.joinPath(documentDir, resourcePath);
+}
 
-		.toc-list {
-			list-style: none;
-			margin: 0;
-			padding: 0;
-		}
+/**
+ * Works out where a link clicked in the preview points to
+ *
+ * HTTP(S) and mailto links are external. Other schemes are not followed.
+ * Everything else is a local path (see resolveLocalResource), with an
+ * optional #fragment; a bare "?query" or empty path means the document itself.
+ *
+ * @param {string} href - The href attribute as written in the markdown
+ * @param {vscode.Uri} documentUri - URI of the markdown document containing the link
+ * @returns {{external: boolean, uri: vscode.Uri, fragment: string} | undefined} The link target
+ */
+function resolveLink(href, documentUri) {
+	if (/^(https?|mailto):/i.test(href)) {
+		return { external: true, uri: vscode.Uri.parse(href), fragment: "" };
+	}
+	if (/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+		return undefined;
+	}
 
-		.toc-list ul {
-			list-style: none;
-			margin: 0;
-			padding-left: 12px;
-			margin-top: 2px;
-		}
+	const [target, ...fragmentParts] = href.split("#");
+	const fragment = decodeUriComponentSafe(fragmentParts.join("#"));
+	const targetPath = decodeUriComponentSafe(target.split("?")[0]);
+	if (!targetPath) {
+		return { external: false, uri: documentUri, fragment };
+	}
 
-		.toc-item {
-			margin: 2px 0;
-		}
+	const uri = resolveLocalResource(targetPath, documentUri);
+	return uri ? { external: false, uri, fragment } : undefined;
+}
 
-		/* Simplified toc-link styling - uniform font/color */
-		.toc-link {
-			display: block;
-			padding: 8px 12px;
-			text-decoration: none;
-			color: #0066cc;
-			border-radius: 3px;
-			border-left: 3px solid transparent;
-			transition: all 0.15s ease;
-		}
+/**
+ * Opens a markdown file in a text editor, at the heading a fragment names
+ *
+ * The editor goes to the column of the editor showing the previewed
+ * document, so the preview stays where it is.
+ *
+ * @param {vscode.Uri} uri - The markdown file to open
+ * @param {string} fragment - Heading id to reveal, or ""
+ * @param {vscode.TextDocument} fromDocument - The document the link was clicked in
+ */
+async function showInEditor(uri, fragment, fromDocument) {
+	const doc = await vscode.workspace.openTextDocument(uri);
+	const sourceEditor = vscode.window.visibleTextEditors.find(
+		(editor) => editor.document.uri.toString() === fromDocument.uri.toString()
+	);
+	const heading = fragment
+		? renderMarkdown(doc.getText(), getRenderOptions(doc.uri)).headings
+			.find((candidate) => candidate.id === fragment)
+		: undefined;
+	const position = new vscode.Position(heading ? heading.lineIndex : 0, 0);
+
+	await vscode.window.showTextDocument(doc, {
+		viewColumn: sourceEditor ? sourceEditor.viewColumn : vscode.ViewColumn.One,
+		selection: new vscode.Range(position, position),
+	});
+}
 
-		.toc-link:hover {
-			background: rgba(0, 102, 204, 0.08);
-			color: #0052a3;
+/**
+ * Resolves and converts image, video and audio paths to webview-accessible URIs
+ *
+ * Local paths are resolved with resolveLocalResource. HTTPS URLs, data URIs
+ * and paths that can't be resolved are passed through unchanged.
+ *
+ * @param {string} resourcePath - The path from the rendered HTML, possibly percent-encoded
+ * @param {vscode.TextDocument} document - The markdown document
+ * @param {vscode.WebviewPanel} panel - The webview panel for URI conversion
+ * @returns {string | undefined} The converted path or original if not a local file,
+ *   undefined if it is a local file that doesn't exist
+ */
+function resolveResourcePath(resourcePath, document, panel) {
+	try {
+		const resourceUri = resolveLocalResource(getLocalPath(resourcePath), document.uri);
+		if (!resourceUri) {
+			return resourcePath;
 		}
-
-		.toc-link.active {
-			border-left-color: #0066cc;
-			background: rgba(0, 102, 204, 0.1);
-			color: #0052a3;
-			font-weight: 500;
+		if (resourceUri.scheme === "file" && !fs.existsSync(resourceUri.fsPath)) {
+			return undefined;
 		}
 
-		/* Indentation shows hierarchy, no font-size variations */
-		.toc-level-2 .toc-link,
-		.toc-level-3 .toc-link,
-		.toc-level-4 .toc-link,
-		.toc-level-5 .toc-link,
-		.toc-level-6 .toc-link {
-			font-size: 0.9em;
-			color: #0066cc;
-		}
+		// Convert to webview-accessible URI
+		return panel.webview.asWebviewUri(resourceUri).toString();
+	} catch (error) {
+		console.error(`Failed to resolve resource path: ${resourcePath}`, error);
+		return resourcePath; // Return original if resolution fails
+	}
+}
 
-		.toc-level-2 .toc-link:hover,
-		.toc-level-3 .toc-link:hover,
-		.toc-level-4 .toc-link:hover,
-		.toc-level-5 .toc-link:hover,
-		.toc-level-6 .toc-link:hover {
-			background: rgba(0, 102, 204, 0.08);
-			color: #0052a3;
+/**
+ * Resolves the URLs the preview loads Mermaid, MathJax and highlight.js from
+ *
+ * By default every library is served from the extension folder through
+ * asWebviewUri, so the preview makes no network requests. Setting
+ * lightweightMarkdownPreview.loadLibrariesFromCdn switches to jsDelivr.
+ * Libraries turned off in the settings get no URL and are not loaded.
+ *
+ * @param {vscode.WebviewPanel} panel - The webview panel for URI conversion
+ * @param {vscode.Uri} extensionUri - Root of the installed extension
+ * @param {vscode.Uri} [scope] - Previewed document, whose settings apply
+ * @returns {{urls: Object<string, string>, cspSources: string, scriptSources: string}} Library URLs
+ *   keyed like LIBRARIES, the CSP sources for their styles and fonts, and the extra CSP script
+ *   sources MathJax needs to autoload TeX packages
+ */
+function getLibraryAssets(panel, extensionUri, scope) {
+	const config = getConfig(scope);
+	const useCdn = config.get("loadLibrariesFromCdn", false);
+	const enabled = {
+		mermaid: config.get("mermaid.enabled", true),
+		mathJax: config.get("math.enabled", true),
+		highlightJs: config.get("highlight.enabled", true),
+		highlightCssLight: config.get("highlight.enabled", true),
+		highlightCssDark: config.get("highlight.enabled", true),
+	};
+
+	const urls = {};
+	Object.keys(LIBRARIES).forEach((name) => {
+		const library = LIBRARIES[name];
+		if (enabled[name] === false) {
+			return;
 		}
+		urls[name] = useCdn
+			? library.cdn
+			: panel.webview.asWebviewUri(vscode.Uri.joinPath(extensionUri, ...library.local)).toString();
+	});
 
-		.toc-level-2 .toc-link.active,
-		.toc-level-3 .toc-link.active,
-		.toc-level-4 .toc-link.active,
-		.toc-level-5 .toc-link.active,
-		.toc-level-6 .toc-link.active {
-			border-left-color: #0066cc;
-			background: rgba(0, 102, 204, 0.1);
-		}
+	if (useCdn) {
+		return { urls, cspSources: CDN_ORIGIN, scriptSources: CDN_ORIGIN };
+	}
 
-		/* Content area - no margin offset needed (sidebar is overlay) */
-		.content {
-			flex: 1;
-			padding: 20px;
-			max-width: 900px;
-			margin: 0 auto;
-		}
+	// Only the MathJax folder may load scripts without a nonce, never the
+	// whole webview origin (which also serves workspace files)
+	const mathJaxFolder = urls.mathJax ? urls.mathJax.substring(0, urls.mathJax.lastIndexOf("/") + 1) : "";
+	return { urls, cspSources: panel.webview.cspSource, scriptSources: mathJaxFolder };
+}
 
-		pre {
-			background-color: #f5f5f5;
-			border: 1px solid #e0e0e0;
-			border-radius: 4px;
-			padding: 12px;
-			overflow-x: auto;
-		}
+/**
+ * Exports a single markdown file to a standalone HTML page
+ *
+ * Asks where to save (defaulting to the same name next to the source). The
+ * page inlines everything it needs; local images are inlined as data URIs or,
+ * with lightweightMarkdownPreview.export.images set to "copy", copied into a
+ * "<name>_files" folder beside the page along with local video, audio and
+ * linked files.
+ *
+ * @param {vscode.Uri} sourceUri - The markdown file to export
+ * @param {vscode.Uri} extensionUri - Root of the installed extension, used to read bundled libraries
+ */
+async function exportFile(sourceUri, extensionUri) {
+	const outputUri = await vscode.window.showSaveDialog({
+		defaultUri: sourceUri.with({ path: replaceExtension(sourceUri.path, ".html") }),
+		filters: { HTML: ["html"] },
+	});
+	if (!outputUri) {
+		return;
+	}
 
-		code {
-			background-color: #f5f5f5;
-			padding: 2px 4px;
-			border-radius: 3px;
-			font-family: 'Courier New', Courier, monospace;
-			font-size: 0.9em;
-		}
+	// Open through VS Code so unsaved edits are exported too
+	const document = await vscode.workspace.openTextDocument(sourceUri);
+	const { html, headings, meta } = renderMarkdown(document.getText(), getRenderOptions(sourceUri));
 
-		pre code {
-			background-color: transparent;
-			padding: 0;
-			font-family: 'Courier New', Courier, monospace;
-		}
+	const placeResource = getConfig(sourceUri).get("export.images", "inline") === "copy"
+		? placeInFilesFolder(outputUri.path)
+		: () => undefined;
 
-		blockquote {
-			border-left: 4px solid #ddd;
-			margin: 0;
-			padding-left: 16px;
-			color: #666;
-		}
+	const contentHtml = await exportResources(html, sourceUri.path, getExportHooks(sourceUri, outputUri, placeResource));
+	const page = await buildExportPage(extensionUri, sourceUri, meta.title || getTitle(sourceUri), contentHtml, headings, meta);
+	await vscode.workspace.fs.writeFile(outputUri, Buffer.from(page, "utf8"));
 
-		table {
-			border-collapse: collapse;
-			width: 100%;
-			margin: 16px 0;
-		}
+	vscode.window.showInformationMessage(`Exported ${vscode.workspace.asRelativePath(outputUri)}`);
+}
 
-		th, td {
-			border: 1px solid #ddd;
-			padding: 8px;
-			text-align: left;
-		}
+/**
+ * Exports every markdown file in a folder as a small static site
+ *
+ * The folder structure is mirrored in the chosen output folder, links between
+ * markdown files are rewritten to the generated .html pages, libraries are
+ * written once to an "_assets" folder, and local images, video, audio and
+ * linked files are copied to the same relative location (images outside the
+ * folder are inlined instead).
+ *
+ * @param {vscode.Uri} folderUri - Folder containing the markdown files
+ * @param {vscode.Uri} extensionUri - Root of the installed extension, used to read bundled libraries
+ */
+async function exportFolder(folderUri, extensionUri) {
+	const picked = await vscode.window.showOpenDialog({
+		defaultUri: folderUri,
+		canSelectFiles: false,
+		canSelectFolders: true,
+		canSelectMany: false,
+		openLabel: "Export Here",
+	});
+	if (!picked || picked.length === 0) {
+		return;
+	}
+	const outputRoot = picked[0];
+	const assetsFolder = vscode.Uri.joinPath(outputRoot, EXPORT_ASSETS_FOLDER);
 
-		th {
-			background-color: #f4f4f4;
-		}
+	const files = await vscode.workspace.findFiles(
+		new vscode.RelativePattern(folderUri, "**/*.{md,markdown}"),
+		"**/node_modules/**"
+	);
 
-		img {
-			max-width: 100%;
-			height: auto;
-		}
+	await vscode.window.withProgress(
+		{ location: vscode.ProgressLocation.Notification, title: "Exporting HTML" },
+		async (progress) => {
+			for (const name of EXPORT_ASSETS) {
+				const bytes = await vscode.workspace.fs.readFile(vscode.Uri.joinPath(extensionUri, ...getExportAssetPath(name)));
+				await vscode.workspace.fs.writeFile(vscode.Uri.joinPath(assetsFolder, getExportAssetFileName(name)), bytes);
+			}
 
-		.mermaid {
-			background-color: transparent;
-			border: none;
-			text-align: center;
-		}
+			for (const file of files) {
+				progress.report({ message: vscode.workspace.asRelativePath(file), increment: 100 / files.length });
 
-		h1, h2, h3, h4, h5, h6 {
-			scroll-margin-top: 20px;
-		}
+				const relativePath = path.posix.relative(folderUri.path, file.path);
+				const outputUri = vscode.Uri.joinPath(outputRoot, replaceExtension(relativePath, ".html"));
+				const outputDir = vscode.Uri.joinPath(outputUri, "..");
 
-		/* Mobile responsiveness */
-		@media (max-width: 768px) {
-			.content {
-				padding: 15px;
-			}
+				const document = await vscode.workspace.openTextDocument(file);
+				const { html, headings, meta } = renderMarkdown(document.getText(), getRenderOptions(file));
 
-			.sidebar-toggle {
-				top: 8px;
-				right: 8px;
-				padding: 10px 14px;
-				font-size: 1.3em;
+				// Copy files that live inside the exported folder; inline the other images
+				const placeResource = placeInFolder(folderUri.path, outputRoot.path, outputDir.path);
+				const contentHtml = rewriteMarkdownLinks(await exportResources(html, file.path, getExportHooks(file, outputRoot, placeResource)));
+				const assetBase = path.posix.relative(outputDir.path, assetsFolder.path);
+				const page = await buildExportPage(extensionUri, file, meta.title || getTitle(file), contentHtml, headings, meta, assetBase);
+				await vscode.workspace.fs.writeFile(outputUri, Buffer.from(page, "utf8"));
 			}
 		}
-	</style>
-</head>
-<body>
-	<button class="sidebar-toggle" aria-label="Toggle outline sidebar" title="Show outline (ESC to close)">☰</button>
-	<div class="sidebar-overlay" aria-hidden="true"></div>
-	<aside class="toc-sidebar" role="navigation" aria-label="Document outline">
-		<div class="toc-header">
-			<span>Contents</span>
-			<button class="toc-close" aria-label="Close sidebar">✕</button>
-		</div>
-		${tocHtml}
-	</aside>
-	<main class="content">
-		${markdownHtml}
-	</main>
-	<script async src="https://cdn.jsdelivr.net/npm/mathjax@3/es5/tex-mml-chtml.js" nonce="${nonce}"></script>
-	<script src="https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11/build/highlight.min.js" nonce="${nonce}"></script>
-	<script type="module" nonce="${nonce}">
-		import mermaid from 'https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.esm.min.mjs';
-
-		// Initialize highlight.js for syntax highlighting
-		try {
-			document.querySelectorAll('pre code').forEach((block) => {
-				hljs.highlightElement(block);
-			});
-		} catch (error) {
-			console.error('Syntax highlighting failed:', error);
-		}
+	);
 
-		// Initialize Mermaid with modern API
-		mermaid.initialize({
-			startOnLoad: false,
-			theme: 'default',
-			securityLevel: 'loose'
-		});
+	vscode.window.showInformationMessage(`Exported ${files.length} page(s) to ${outputRoot.fsPath}`);
+}
 
-		// Run Mermaid on all diagram elements
+/**
+ * Builds a standalone HTML page around rendered markdown (see buildStaticPage)
+ *
+ * Applies the exported document's settings and inlines its custom
+ * stylesheets; one that can't be read is left out.
+ *
+ * @param {vscode.Uri} extensionUri - Root of the installed extension
+ * @param {vscode.Uri} sourceUri - The exported markdown file, whose settings apply
+ * @param {string} title - Page title
+ * @param {string} contentHtml - Rendered markdown with image paths already rewritten
+ * @param {Array} headings - Headings for the TOC sidebar
+ * @param {{toc: boolean}} meta - Page options from front matter (see renderMarkdown)
+ * @param {string} [assetBase] - Relative URL of a folder holding the export assets.
+ *   When omitted, scripts and styles are inlined.
+ * @returns {Promise<string>} Complete HTML page
+ */
+async function buildExportPage(extensionUri, sourceUri, title, contentHtml, headings, meta, assetBase) {
+	const styles = [];
+	for (const stylesheet of getStylesheets(extensionUri, sourceUri)) {
 		try {
-			await mermaid.run({
-				querySelector: '.mermaid'
-			});
+			styles.push(Buffer.from(await vscode.workspace.fs.readFile(stylesheet)).toString("utf8"));
 		} catch (error) {
-			console.error('Mermaid rendering failed:', error);
+			console.error(`Failed to read stylesheet: ${stylesheet.toString()}`, error);
 		}
+	}
 
-		// Trigger MathJax processing if loaded
-		if (window.MathJax) {
+	return buildStaticPage({ title, html: contentHtml, headings, meta }, {
+		settings: getPageSettings(sourceUri),
+		appearance: getAppearance(sourceUri),
+		styles,
+		highlight: getConfig(sourceUri).get("highlight.enabled", true),
+		assetBase,
+		loadAsset: async (name) => {
+			const bytes = await vscode.workspace.fs.readFile(vscode.Uri.joinPath(extensionUri, ...getExportAssetPath(name)));
+			return Buffer.from(bytes).toString("utf8");
+		},
+	});
+}
+
+/**
+ * Returns the file access exportResources needs for exporting a document
+ *
+ * Paths are read with the document's scheme and written with the output's.
+ * A file that can't be read is logged and left to exportResources.
+ *
+ * @param {vscode.Uri} documentUri - URI of the exported markdown document
+ * @param {vscode.Uri} outputUri - The page or folder written to, whose scheme copied files get
+ * @param {function(string): ({target: string, href: string} | undefined)} placeResource - Where files are copied to
+ * @returns {Object} Hooks for exportResources
+ */
+function getExportHooks(documentUri, outputUri, placeResource) {
+	const folder = vscode.workspace.getWorkspaceFolder(documentUri) || (vscode.workspace.workspaceFolders || [])[0];
+	return {
+		rootPath: folder ? folder.uri.path : undefined,
+		readFile: async (filePath) => {
 			try {
-				window.MathJax.typesetPromise().catch(err => console.error('MathJax rendering failed:', err));
+				return await vscode.workspace.fs.readFile(documentUri.with({ path: filePath }));
 			} catch (error) {
-				console.error('MathJax initialization failed:', error);
+				console.error(`Failed to export file: ${filePath}`, error);
+				return undefined;
 			}
-		}
+		},
+		writeFile: (target, bytes) => vscode.workspace.fs.writeFile(outputUri.with({ path: target }), bytes),
+		placeResource,
+	};
+}
 
-		// Sidebar toggle functionality
-		const toggleBtn = document.querySelector('.sidebar-toggle');
-		const closeBtn = document.querySelector('.toc-close');
-		const overlay = document.querySelector('.sidebar-overlay');
-		const tocLinks = document.querySelectorAll('.toc-link');
-		const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
+/**
+ * @param {vscode.Uri} documentUri - URI of a markdown document
+ * @returns {string} The document's file name without extension, used as page title
+ */
+function getTitle(documentUri) {
+	return path.posix.basename(replaceExtension(documentUri.path, ""));
+}
 
-		// Flag to prevent observer updates immediately after user clicks a link
-		let isUserClicking = false;
+/**
+ * Saves one diagram sent by the preview's diagram toolbar
+ *
+ * @param {vscode.TextDocument} document - The previewed document; the dialog starts in its folder
+ * @param {{format: string, name: string, data: string}} message - "saveDiagram" message from the webview:
+ *   the format ("svg" or "png"), the id of the heading above the diagram, and SVG markup or a PNG data URL
+ */
+async function saveDiagram(document, message) {
+	const format = message.format === "png" ? "png" : "svg";
+	const fileName = `${getDiagramFileName(message.name)}.${format}`;
+	const outputUri = await vscode.window.showSaveDialog({
+		defaultUri: vscode.Uri.joinPath(document.uri, "..", fileName),
+		filters: format === "png" ? { PNG: ["png"] } : { SVG: ["svg"] },
+	});
+	if (outputUri) {
+		await vscode.workspace.fs.writeFile(outputUri, getDiagramBytes(format, String(message.data)));
+	}
+}
 
-		// Open sidebar when toggle button clicked
-		toggleBtn.addEventListener('click', () => {
-			document.body.classList.add('sidebar-open');
-		});
+/**
+ * Exports every Mermaid diagram of a previewed document to a folder
+ *
+ * Only the webview can render diagrams, so the preview is asked for them
+ * (waiting for Mermaid to finish). Files are named after the heading above
+ * each diagram, with -1, -2... for several diagrams under one heading.
+ *
+ * @param {Object} preview - A preview from createPreview, showing the document
+ */
+async function exportDiagrams(preview) {
+	const picked = await vscode.window.showQuickPick(
+		[
+			{ label: "SVG", description: "Scalable, for documents and slides", format: "svg" },
+			{ label: "PNG", description: "Image at twice the preview size", format: "png" },
+		],
+		{ placeHolder: "Export the diagrams as" }
+	);
+	if (!picked) {
+		return;
+	}
 
-		// Close sidebar when close button clicked
-		closeBtn.addEventListener('click', () => {
-			document.body.classList.remove('sidebar-open');
-		});
+	const diagrams = await preview.collectDiagrams(picked.format);
+	const documentName = path.posix.basename(preview.document.uri.path);
+	if (diagrams.length === 0) {
+		vscode.window.showInformationMessage(`No rendered Mermaid diagrams in ${documentName}`);
+		return;
+	}
+
+	const folders = await vscode.window.showOpenDialog({
+		defaultUri: vscode.Uri.joinPath(preview.document.uri, ".."),
+		canSelectFiles: false,
+		canSelectFolders: true,
+		canSelectMany: false,
+		openLabel: "Export Here",
+	});
+	if (!folders || folders.length === 0) {
+		return;
+	}
+
+	const usedNames = new Set();
+	for (const diagram of diagrams) {
+		const name = uniqueFileName(`${getDiagramFileName(diagram.name)}.${picked.format}`, usedNames);
+		await vscode.workspace.fs.writeFile(vscode.Uri.joinPath(folders[0], name), getDiagramBytes(picked.format, String(diagram.data)));
+	}
+	vscode.window.showInformationMessage(`Exported ${diagrams.length} diagram(s) from ${documentName} to ${vscode.workspace.asRelativePath(folders[0])}`);
+}
+
+/**
+ * @param {string} name - Heading id sent by the webview
+ * @returns {string} A file name without extension, "diagram" if nothing usable is left
+ */
+function getDiagramFileName(name) {
+	return String(name || "").replace(/[^\p{L}\p{N}_-]+/gu, "-").replace(/^-+|-+$/g, "") || "diagram";
+}
+
+/**
+ * @param {string} format - "svg" or "png"
+ * @param {string} data - SVG markup, or a PNG data URL
+ * @returns {Buffer} The file contents
+ */
+function getDiagramBytes(format, data) {
+	if (format === "png") {
+		return Buffer.from(data.replace(/^data:image\/png;base64,/, ""), "base64");
+	}
+	return Buffer.from(data, "utf8");
+}
+
+/**
+ * Loads the page shell into a webview panel
+ *
+ * Called once per panel. A fresh nonce is generated for the shell; the
+ * preview script then asks for content with a "ready" message.
+ *
+ * @param {vscode.WebviewPanel} panel - The webview panel to initialize
+ * @param {vscode.Uri} extensionUri - Root of the installed extension, used to locate bundled files
+ * @param {boolean} locked - Whether the preview is locked, saved in the webview state for restoring
+ * @param {vscode.Uri} scope - Previewed document, whose settings apply
+ * @returns {vscode.Uri[]} The custom stylesheets the page loads, see getStylesheets
+ */
+function loadWebviewShell(panel, extensionUri, locked, scope) {
+	const nonce = getNonce();
+	const previewScript = panel.webview
+		.asWebviewUri(vscode.Uri.joinPath(extensionUri, ...PREVIEW_SCRIPT))
+		.toString();
+	const settings = {
+		scrollEchoDelay: SCROLL_ECHO_DELAY,
+		...getPageSettings(scope),
+		locked,
+	};
+
+	const stylesheets = getStylesheets(extensionUri, scope);
+
+	panel.webview.html = getWebviewContent(
+		nonce,
+		getLibraryAssets(panel, extensionUri, scope),
+		previewScript,
+		settings,
+		getAppearance(scope),
+		stylesheets.map((uri) => panel.webview.asWebviewUri(uri).toString())
+	);
+	return stylesheets;
+}
 
-		// Close sidebar when overlay clicked
-		overlay.addEventListener('click', () => {
-			document.body.classList.remove('sidebar-open');
+/**
+ * Renders the document and sends the result to the webview
+ *
+ * The webview keeps unchanged blocks and patches in the rest.
+ *
+ * @param {vscode.WebviewPanel} panel - The webview to update
+ * @param {vscode.TextDocument} document - The markdown document to render
+ * @param {number} [line] - Source line to scroll to once rendered, used when switching documents
+ * @returns {{meta: {title: (string|undefined), toc: boolean, math: boolean}, includes: vscode.Uri[]} | undefined}
+ *   Page options from front matter and the included files, or undefined if rendering failed
+ */
+function updateWebviewContent(panel, document, line) {
+	try {
+		const { html, headings, meta, includes } = renderMarkdown(document.getText(), {
+			...getRenderOptions(document.uri),
+			resolveResource: (resourcePath) => resolveResourcePath(resourcePath, document, panel),
 		});
 
-		// Close sidebar on Escape key
-		document.addEventListener('keydown', (e) => {
-			if (e.key === 'Escape') {
-				document.body.classList.remove('sidebar-open');
-			}
+		panel.webview.postMessage({
+			type: "update",
+			source: document.uri.toString(),
+			html,
+			toc: generateTOC(headings),
+			showToc: meta.toc,
+			math: meta.math,
+			line,
 		});
+		return { meta, includes: includes.map((filePath) => document.uri.with({ path: filePath })) };
+	} catch (error) {
+		vscode.window.showErrorMessage(
+			`Failed to render markdown: ${error.message}`
+		);
+		return undefined;
+	}
+}
 
-		// Handle TOC link clicks for smooth scrolling
-		tocLinks.forEach(link => {
-			link.addEventListener('click', (e) => {
-				e.preventDefault();
-				const id = link.getAttribute('href').substring(1);
-				const target = document.getElementById(id);
-				if (target) {
-					// Set flag to prevent observer from updating active state during scroll
-					isUserClicking = true;
-					setTimeout(() => { isUserClicking = false; }, 800);
-
-					target.scrollIntoView({ behavior: 'smooth' });
-					updateActiveTOC(id);
-				}
-			});
+/**
+ * Turns the render errors reported by the page into diagnostics
+ *
+ * The page locates each error at the first line of its top-level block, the
+ * mermaid fence or the paragraph holding the formula; the whole line is
+ * marked. Lines past the end of the document (it changed since) are skipped.
+ *
+ * @param {vscode.TextDocument} document - The previewed markdown document
+ * @param {Array<{line: number, source: string, message: string}>} errors - Errors from a "renderErrors" message
+ * @returns {vscode.Diagnostic[]} One error diagnostic per failed diagram or formula
+ */
+function getRenderDiagnostics(document, errors) {
+	if (!Array.isArray(errors)) {
+		return [];
+	}
+	return errors
+		.filter((error) => Number.isInteger(error.line) && error.line >= 0 && error.line < document.lineCount)
+		.map((error) => {
+			const diagnostic = new vscode.Diagnostic(
+				document.lineAt(error.line).range,
+				String(error.message),
+				vscode.DiagnosticSeverity.Error
+			);
+			diagnostic.source = error.source === "MathJax" ? "MathJax" : "Mermaid";
+			return diagnostic;
 		});
+}
 
-		// Update active TOC link based on scroll position and scroll TOC to show it
-		function updateActiveTOC(activeId) {
-			const sidebar = document.querySelector('.toc-sidebar');
-			tocLinks.forEach(link => {
-				link.classList.remove('active');
-				if (link.getAttribute('href') === '#' + activeId) {
-					link.classList.add('active');
-					// Only auto-scroll sidebar if it's open
-					if (document.body.classList.contains('sidebar-open')) {
-						// Scroll the TOC sidebar to make the active link visible
-						const activeLink = link;
-						const linkTop = activeLink.offsetTop;
-						const linkBottom = linkTop + activeLink.offsetHeight;
-						const sidebarScrollTop = sidebar.scrollTop;
-						const sidebarHeight = sidebar.clientHeight;
-						const sidebarBottom = sidebarScrollTop + sidebarHeight;
-
-						// If link is above visible area, scroll up
-						if (linkTop < sidebarScrollTop) {
-							sidebar.scrollTop = linkTop - 50;
+/**
+ * Reports broken links in markdown files as diagnostics, with quick fixes
+ *
+ * Open markdown documents are checked when opened and after edits. The ids
+ * of linked files are cached until the file changes, in an editor or on disk;
+ * then the open documents linking to it are checked again, and all of them
+ * when a markdown file is created or deleted.
+ * lightweightMarkdownPreview.links.validate turns this off; checkWorkspace
+ * (the "Check Links in Workspace" command) runs regardless.
+ *
+ * State managed:
+ * - diagnostics: Broken links per document
+ * - fixes: The replacements behind each document's diagnostics, for the quick fixes
+ * - checkTimers: Debounce timer per document after an edit
+ * - idCache, includes: Ids in linked markdown files and the files they include, by path
+ * - linkedPaths: Markdown files each document's last check looked up ids in
+ *
+ * @param {vscode.ExtensionContext} context - Extension context provided by VS Code
+ * @returns {{checkWorkspace: function(): Promise<void>}} The validator
+ */
+function createLinkValidator(context) {
+	const diagnostics = vscode.languages.createDiagnosticCollection("lightweightMarkdownPreview.links");
+	// Document URI -> [{ diagnostic, written, replacements }]
+	const fixes = new Map();
+	const checkTimers = new Map();
+	const idCache = new Map();
+	const includes = new Map();
+	const getIds = createMarkdownIdLookup(idCache, includes);
+	// Document URI -> Set of paths
+	const linkedPaths = new Map();
+
+	// Checks one file and publishes what it finds; returns the number of broken links
+	const check = (uri, text) => {
+		const lines = text.split(/\r?\n/);
+		const linked = new Set();
+		const problems = findBrokenLinks(uri, text, (filePath) => {
+			linked.add(filePath);
+			return getIds(filePath);
+		});
+		linkedPaths.set(uri.toString(), linked);
+		const entries = problems.map((problem) => {
+			const range = problem.range
+				? new vscode.Range(problem.range.line, problem.range.start, problem.range.line, problem.range.end)
+				: new vscode.Range(problem.line, 0, problem.line, (lines[problem.line] || "").length);
+			const diagnostic = new vscode.Diagnostic(range, problem.message, vscode.DiagnosticSeverity.Warning);
+			diagnostic.source = "Markdown links";
+			const written = problem.range ? lines[range.start.line].slice(range.start.character, range.end.character) : "";
+			return { diagnostic, written, replacements: problem.replacements };
+		});
+		fixes.set(uri.toString(), entries);
+		diagnostics.set(uri, entries.map((entry) => entry.diagnostic));
+		return entries.length;
+	};
+
+	const checkDocument = (document) => {
+		clearTimeout(checkTimers.get(document.uri.toString()));
+		checkTimers.delete(document.uri.toString());
+		if (document.languageId !== "markdown" || document.uri.scheme !== "file") {
+			return;
+		}
+		if (getConfig(document.uri).get("links.validate", true)) {
+			check(document.uri, document.getText());
+		} else {
+			diagnostics.delete(document.uri);
+			fixes.delete(document.uri.toString());
+		}
+	};
+
+	const scheduleCheck = (document) => {
+		clearTimeout(checkTimers.get(document.uri.toString()));
+		checkTimers.set(document.uri.toString(), setTimeout(() => checkDocument(document), UPDATE_DELAY));
+	};
+
+	const checkOpenDocuments = () => vscode.workspace.textDocuments.forEach(scheduleCheck);
+
+	// Forgets the ids of a changed markdown file and of the files including it,
+	// and checks the open documents that link to any of them
+	const forgetIds = (filePath) => {
+		const changed = [filePath, ...Array.from(includes.keys()).filter((key) => includes.get(key).includes(filePath))];
+		changed.forEach((key) => {
+			idCache.delete(key);
+			includes.delete(key);
+		});
+		vscode.workspace.textDocuments.forEach((document) => {
+			const linked = linkedPaths.get(document.uri.toString());
+			if (linked && changed.some((key) => linked.has(key))) {
+				scheduleCheck(document);
+			}
+		});
+	};
+
+	// Links to a created or deleted file start or stop resolving, wherever they are
+	const fileAddedOrRemoved = (uri) => {
+		forgetIds(uri.path);
+		checkOpenDocuments();
+	};
+	const markdownWatcher = vscode.workspace.createFileSystemWatcher("**/*.{md,markdown}");
+	markdownWatcher.onDidChange((uri) => forgetIds(uri.path));
+	markdownWatcher.onDidCreate(fileAddedOrRemoved);
+	markdownWatcher.onDidDelete(fileAddedOrRemoved);
+
+	const quickFixes = {
+		provideCodeActions(document, range, actionContext) {
+			const reported = actionContext.diagnostics;
+			return (fixes.get(document.uri.toString()) || [])
+				.filter(({ diagnostic, written }) =>
+					diagnostic.range.intersection(range) &&
+					reported.some((candidate) => candidate.message === diagnostic.message && candidate.range.isEqual(diagnostic.range)) &&
+					// An edit since the check may have moved the text
+					document.getText(diagnostic.range) === written)
+				.flatMap(({ diagnostic, replacements }) => replacements.map((replacement, index) => {
+					const action = new vscode.CodeAction(`Change to "${replacement}"`, vscode.CodeActionKind.QuickFix);
+					action.diagnostics = [diagnostic];
+					action.isPreferred = index === 0;
+					action.edit = new vscode.WorkspaceEdit();
+					action.edit.replace(document.uri, diagnostic.range, replacement);
+					return action;
+				}));
+		},
+	};
+
+	context.subscriptions.push(
+		diagnostics,
+		vscode.languages.registerCodeActionsProvider({ language: "markdown" }, quickFixes, {
+			providedCodeActionKinds: [vscode.CodeActionKind.QuickFix],
+		}),
+		markdownWatcher,
+		vscode.workspace.onDidOpenTextDocument(checkDocument),
+		vscode.workspace.onDidChangeTextDocument((e) => {
+			if (e.contentChanges.length > 0) {
+				scheduleCheck(e.document);
+				// Ids are read from the editor while the document is open
+				forgetIds(e.document.uri.path);
+			}
+		}),
+		vscode.workspace.onDidCloseTextDocument((document) => {
+			// ...and from disk again once it is closed, unsaved edits gone
+			linkedPaths.delete(document.uri.toString());
+			forgetIds(document.uri.path);
+		}),
+		vscode.workspace.onDidChangeConfiguration((e) => {
+			if (RENDER_SETTINGS.some((key) => e.affectsConfiguration(`lightweightMarkdownPreview.${key}`))) {
+				idCache.clear();
+				includes.clear();
+				checkOpenDocuments();
+			} else if (e.affectsConfiguration("lightweightMarkdownPreview.links.validate")) {
+				checkOpenDocuments();
+			}
+		}),
+		{ dispose: () => checkTimers.forEach((timer) => clearTimeout(timer)) }
+	);
+	vscode.workspace.textDocuments.forEach(checkDocument);
+
+	return {
+		async checkWorkspace() {
+			// Links are resolved on disk, like includes
+			const files = (await vscode.workspace.findFiles("**/*.{md,markdown}", "**/node_modules/**"))
+				.filter((uri) => uri.scheme === "file");
+			if (files.length === 0) {
+				vscode.window.showInformationMessage("No Markdown files found in the workspace");
+				return;
+			}
+			let brokenLinks = 0;
+			let checked = 0;
+			await vscode.window.withProgress(
+				{ location: vscode.ProgressLocation.Notification, title: "Checking links", cancellable: true },
+				async (progress, token) => {
+					for (const uri of files) {
+						if (token.isCancellationRequested) {
+							break;
 						}
-						// If link is below visible area, scroll down
-						else if (linkBottom > sidebarBottom) {
-							sidebar.scrollTop = linkBottom - sidebarHeight + 50;
+						progress.report({ message: vscode.workspace.asRelativePath(uri), increment: 100 / files.length });
+						const text = readIncludedFile(uri);
+						if (text !== undefined) {
+							brokenLinks += check(uri, text);
+							checked++;
 						}
+						// Let the progress notification update between files
+						await new Promise((resolve) => setTimeout(resolve, 0));
 					}
 				}
-			});
-		}
-
-		// Track which heading is in view as user scrolls
-		const observerOptions = {
-			root: null,
-			rootMargin: '-50% 0px -50% 0px',
-			threshold: 0
-		};
-
-		const observer = new IntersectionObserver((entries) => {
-			entries.forEach(entry => {
-				// Only update from scroll observer if user is not actively clicking a link
-				if (entry.isIntersecting && entry.target.id && !isUserClicking) {
-					updateActiveTOC(entry.target.id);
-				}
-			});
-		}, observerOptions);
+			);
+			if (brokenLinks === 0) {
+				vscode.window.showInformationMessage(`Checked ${checked} Markdown file(s), no broken links found`);
+				return;
+			}
+			const choice = await vscode.window.showWarningMessage(
+				`Found ${brokenLinks} broken link(s) in ${checked} Markdown file(s)`,
+				"Show Problems"
+			);
+			if (choice) {
+				await vscode.commands.executeCommand("workbench.actions.view.problems");
+			}
+		},
+	};
+}
 
-		headings.forEach(heading => {
-			if (heading.id) {
-				observer.observe(heading);
+/**
+ * Finds the broken links of a markdown file (see checkLinks in links.js)
+ *
+ * @param {vscode.Uri} uri - The markdown file
+ * @param {string} text - Its contents
+ * @param {function(string): (Set<string>|undefined)} getIds - Ids in linked markdown files, by path
+ * @returns {Array} The problems found, located in the text
+ */
+function findBrokenLinks(uri, text, getIds) {
+	const renderOptions = getRenderOptions(uri);
+	const toFsPath = (filePath) => uri.with({ path: filePath }).fsPath;
+	return checkLinks(renderMarkdown(text, renderOptions), uri.path, {
+		rootPath: renderOptions.rootPath,
+		exists: (filePath) => fs.existsSync(toFsPath(filePath)),
+		getIds,
+		listFolder: (folder) => {
+			try {
+				return fs.readdirSync(toFsPath(folder));
+			} catch {
+				return undefined;
 			}
-		});
-	</script>
-</body>
-</html>`;
+		},
+		text,
+	});
+}
+
+/**
+ * Creates a cached lookup of the ids in markdown files, read like included
+ * files (an open editor's text wins over the file on disk)
+ *
+ * @param {Map<string, (Set<string>|undefined)>} cache - Ids by path (see createIdLookup)
+ * @param {Map<string, string[]>} includes - Filled with the paths each file looked up includes, by path
+ * @returns {function(string): (Set<string>|undefined)} Returns the ids in a markdown file by path
+ */
+function createMarkdownIdLookup(cache, includes) {
+	return createIdLookup((filePath) => {
+		const uri = vscode.Uri.file("/").with({ path: filePath });
+		const text = readIncludedFile(uri);
+		const result = text === undefined ? undefined : renderMarkdown(text, getRenderOptions(uri));
+		includes.set(filePath, result ? result.includes : []);
+		return result;
+	}, cache);
+}
+
+/**
+ * Ticks or clears the task list item on a line of a document
+ *
+ * Applied as a WorkspaceEdit, so it goes through the normal change events
+ * and can be undone in the editor. Does nothing if the line no longer holds
+ * a task item (the document changed since the preview was rendered).
+ *
+ * @param {vscode.TextDocument} document - The previewed markdown document
+ * @param {number} line - Zero-based line of the task item, as reported by the webview
+ * @param {boolean} checked - Whether the item should be ticked
+ * @returns {Promise<boolean>} Whether the edit was applied
+ */
+async function toggleTask(document, line, checked) {
+	if (!Number.isInteger(line) || line < 0 || line >= document.lineCount) {
+		return false;
+	}
+	const match = /^(\s*(?:>\s*)*(?:[-*+]|\d+[.)])\s+\[)[ xX]\]/.exec(document.lineAt(line).text);
+	if (!match) {
+		return false;
+	}
+
+	const column = match[1].length;
+	const edit = new vscode.WorkspaceEdit();
+	edit.replace(document.uri, new vscode.Range(line, column, line, column + 1), checked ? "x" : " ");
+	return vscode.workspace.applyEdit(edit);
 }
 
 /**
@@ -0,0 +1,235 @@
+/**
+ * Link checking for rendered markdown
+ *
+ * Finds links to local files that don't exist, #anchors naming no heading (or
+ * other id) in the linked markdown file, and missing images, video and audio,
+ * and suggests the closest heading id or file name for each. Like renderer.js
+ * this doesn't depend on VS Code: files are reached through hooks, so the
+ * extension's link validation and the command line's --check share it.
+ */
+const {
+	getLocalPath,
+	resolveLocalPath,
+	isMarkdownPath,
+	decodeUriComponentSafe,
+} = require("./renderer");
+
+// How many replacements are suggested for a broken link at most
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Checks the local links and media of a rendered document
+ *
+ * External URLs are not checked. With the document's text, each problem is
+ * located at the exact line and column of the path or #fragment as written,
+ * and `replacements` holds the suggestions in the same form; otherwise only
+ * the line of its top-level block is known. Links produced by markup that
+ * doesn't contain them literally (wiki links) keep the block's line.
+ *
+ * @param {Object} result - The document's renderMarkdown result
+ * @param {string} documentPath - POSIX path of the document
+ * @param {Object} options - Hooks and settings
+ * @param {string} [options.rootPath] - POSIX path that "/" paths are relative to
+ * @param {function(string): boolean} options.exists - Whether a file or folder exists
+ * @param {function(string): (Set<string>|undefined)} options.getIds - The ids in another markdown
+ *   file, or undefined if it can't be read (see createIdLookup)
+ * @param {function(string): (string[]|undefined)} [options.listFolder] - Names in a folder, used to
+ *   suggest file names; undefined if the folder doesn't exist
+ * @param {boolean} [options.media] - false checks links only, leaving media to the renderer's diagnostics
+ * @param {string} [options.text] - The document's markdown, to locate the problems
+ * @returns {Array<{line: number, href: string, element: string, message: string, suggestions: string[],
+ *   range: ({line: number, start: number, end: number}|undefined), replacements: string[]}>} The broken
+ *   links, with the heading ids or file names closest to what was written
+ */
+function checkLinks(result, documentPath, options) {
+	const problems = [];
+	result.links.forEach(({ line, href, element }) => {
+		if (element !== "a" && options.media === false) {
+			return;
+		}
+		if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith("//")) {
+			return;
+		}
+		const hashIndex = href.indexOf("#");
+		const target = hashIndex === -1 ? href : href.slice(0, hashIndex);
+		const fragment = hashIndex === -1 ? "" : href.slice(hashIndex + 1);
+		const localPath = getLocalPath(target);
+		const targetPath = localPath ? resolveLocalPath(localPath, documentPath, options.rootPath) : documentPath;
+		if (!targetPath) {
+			return;
+		}
+
+		if (!options.exists(targetPath)) {
+			const name = targetPath.slice(targetPath.lastIndexOf("/") + 1);
+			const folder = targetPath.slice(0, targetPath.lastIndexOf("/")) || "/";
+			const kind = element === "a" ? "link" : element === "img" || element === "source" ? "image" : "media";
+			problems.push({
+				line,
+				href,
+				element,
+				message: `Broken ${kind}: ${href} (file not found)`,
+				search: target.split("?")[0],
+				suggestions: getClosestMatches(name, (options.listFolder && options.listFolder(folder)) || []),
+			});
+		} else if (fragment && (targetPath === documentPath || isMarkdownPath(targetPath))) {
+			const ids = targetPath === documentPath ? getIds(result) : options.getIds(targetPath);
+			const id = decodeUriComponentSafe(fragment);
+			if (ids && !ids.has(id)) {
+				problems.push({
+					line,
+					href,
+					element,
+					message: `Broken link: ${href} (no heading "${id}")`,
+					search: `#${fragment}`,
+					suggestions: getClosestMatches(id, Array.from(ids)),
+				});
+			}
+		}
+	});
+
+	const sourceLines = options.text === undefined ? undefined : options.text.split(/\r?\n/);
+	const blockLines = Array.from(result.html.matchAll(/ data-line="(\d+)"/g), (match) => Number(match[1]));
+	const located = new Set();
+	return problems.map(({ search, ...problem }) => {
+		const range = sourceLines && locateText(sourceLines, problem.line, blockLines, search, located);
+		const replacements = range
+			? problem.suggestions.map((suggestion) => getReplacement(sourceLines[range.line].slice(range.start, range.end), suggestion))
+			: [];
+		return { ...problem, line: range ? range.line : problem.line, range, replacements };
+	});
+}
+
+/**
+ * Creates a cached lookup of the ids links can point to in a markdown file:
+ * its headings' ids and the ids (or anchor names) in its HTML
+ *
+ * @param {function(string): (Object|undefined)} render - Renders a markdown file by path, returning its
+ *   renderMarkdown result, or undefined if it can't be read
+ * @param {Map<string, (Set<string>|undefined)>} [cache] - Ids by path, for a cache that outlives the lookup;
+ *   deleting a file's entry makes the next lookup render it again
+ * @returns {function(string): (Set<string>|undefined)} Returns the ids in a markdown file
+ */
+function createIdLookup(render, cache = new Map()) {
+	return (filePath) => {
+		if (!cache.has(filePath)) {
+			const result = render(filePath);
+			cache.set(filePath, result ? getIds(result) : undefined);
+		}
+		return cache.get(filePath);
+	};
+}
+
+/**
+ * @param {Object} result - A renderMarkdown result
+ * @returns {Set<string>} Its heading ids and the id and name attributes in its HTML
+ */
+function getIds(result) {
+	const ids = new Set(result.headings.map((heading) => heading.id));
+	for (const match of result.html.matchAll(/ (?:id|name)="([^"]*)"/g)) {
+		ids.add(match[1]);
+	}
+	return ids;
+}
+
+/**
+ * Finds where a broken path or #fragment is written, within its top-level block
+ *
+ * Tries the text as it appears in the HTML, then percent-decoded (as written
+ * in `<my file.md>` links). Each occurrence is handed out once, so a link
+ * repeated in a block gets one problem per occurrence.
+ *
+ * @param {string[]} sourceLines - The document's lines
+ * @param {number} blockLine - First line of the block the link was found in
+ * @param {number[]} blockLines - First lines of all top-level blocks, in order
+ * @param {string} search - The text to find
+ * @param {Set<string>} located - "line:column" of the occurrences already used
+ * @returns {{line: number, start: number, end: number} | undefined} The occurrence found
+ */
+function locateText(sourceLines, blockLine, blockLines, search, located) {
+	const nextBlock = blockLines.find((line) => line > blockLine);
+	const end = Math.min(nextBlock === undefined ? sourceLines.length : nextBlock, sourceLines.length);
+	for (const text of new Set([search, decodeUriComponentSafe(search)])) {
+		if (!text) {
+			continue;
+		}
+		for (let line = blockLine; line < end; line++) {
+			let start = sourceLines[line].indexOf(text);
+			while (start !== -1) {
+				if (!located.has(`${line}:${start}`)) {
+					located.add(`${line}:${start}`);
+					return { line, start, end: start + text.length };
+				}
+				start = sourceLines[line].indexOf(text, start + 1);
+			}
+		}
+	}
+	return undefined;
+}
+
+/**
+ * @param {string} written - The broken path or #fragment as written in the document
+ * @param {string} suggestion - A heading id, or a file name in the target folder
+ * @returns {string} The text to write instead, keeping the path's folder and encoding
+ */
+function getReplacement(written, suggestion) {
+	if (written.startsWith("#")) {
+		return `#${suggestion}`;
+	}
+	// Spaces are only safe unencoded where the path already has some (as in <my file.md>)
+	const encode = written.includes("%") || (/[\s()<>]/.test(suggestion) && !/\s/.test(written));
+	const encoded = encode ? encodeURIComponent(suggestion) : suggestion;
+	return written.replace(/[^/]*$/, encoded);
+}
+
+/**
+ * Picks the candidates closest to a misspelled name, ignoring case
+ *
+ * A candidate counts as close when it contains the name (or the name
+ * contains it), or when few edits turn one into the other.
+ *
+ * @param {string} name - The name as written
+ * @param {string[]} candidates - Names that exist
+ * @returns {string[]} Up to MAX_SUGGESTIONS candidates, closest first
+ */
+function getClosestMatches(name, candidates) {
+	const wanted = name.toLowerCase();
+	const maxDistance = Math.max(2, Math.floor(wanted.length / 3));
+	return candidates
+		.filter((candidate) => candidate && candidate !== name)
+		.map((candidate) => {
+			const lowerCandidate = candidate.toLowerCase();
+			const contains = Math.min(wanted.length, lowerCandidate.length) >= 3 &&
+				(lowerCandidate.includes(wanted) || wanted.includes(lowerCandidate));
+			return { candidate, distance: Math.min(contains ? 1 : Infinity, getEditDistance(wanted, lowerCandidate)) };
+		})
+		.filter(({ distance }) => distance <= maxDistance)
+		.sort((a, b) => a.distance - b.distance)
+		.slice(0, MAX_SUGGESTIONS)
+		.map(({ candidate }) => candidate);
+}
+
+/**
+ * @param {string} a - A string
+ * @param {string} b - Another string
+ * @returns {number} The Levenshtein distance: insertions, deletions and substitutions turning a into b
+ */
+function getEditDistance(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+			);
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+module.exports = {
+	checkLinks,
+	createIdLookup,
+};
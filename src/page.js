@@ -0,0 +1,1280 @@
+/**
+ * HTML pages around rendered markdown: the preview's webview shell and the
+ * standalone pages written by HTML export
+ *
+ * Like renderer.js this doesn't depend on VS Code. Library files are named by
+ * their path inside the extension (LIBRARIES, getExportAssetPath); callers
+ * turn those into URLs or read them.
+ */
+const path = require("path");
+const {
+	escapeHtml,
+	generateTOC,
+	rewriteResourceUrls,
+	getLocalPath,
+	resolveLocalPath,
+	isMarkdownPath,
+	MEDIA_ATTRIBUTES,
+} = require("./renderer");
+
+/**
+ * Third-party libraries loaded by the preview.
+ *
+ * `local` paths point at the copies the webpack build places in dist/vendor,
+ * `cdn` URLs are only used when the user opts in via
+ * lightweightMarkdownPreview.loadLibrariesFromCdn.
+ */
+const LIBRARIES = {
+	mermaid: {
+		local: ["dist", "vendor", "mermaid", "mermaid.min.js"],
+		cdn: "https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.min.js",
+	},
+	mathJax: {
+		local: ["dist", "vendor", "mathjax", "tex-mml-chtml.js"],
+		cdn: "https://cdn.jsdelivr.net/npm/mathjax@3/es5/tex-mml-chtml.js",
+	},
+	// Only used by HTML export: SVG output needs no font files, so it can be inlined,
+	// and the full build has every TeX package (\color, \cancel, ...) built in, since
+	// an exported page has no extensions folder to autoload them from
+	mathJaxSvg: {
+		local: ["dist", "vendor", "mathjax", "tex-svg-full.js"],
+		cdn: "https://cdn.jsdelivr.net/npm/mathjax@3/es5/tex-svg-full.js",
+	},
+	highlightJs: {
+		local: ["dist", "vendor", "highlight", "highlight.min.js"],
+		cdn: "https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11/build/highlight.min.js",
+	},
+	// Code highlighting themes, switched by the preview script to match the color theme
+	highlightCssLight: {
+		local: ["dist", "vendor", "highlight", "styles", "atom-one-light.min.css"],
+		cdn: "https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11/build/styles/atom-one-light.min.css",
+	},
+	highlightCssDark: {
+		local: ["dist", "vendor", "highlight", "styles", "atom-one-dark.min.css"],
+		cdn: "https://cdn.jsdelivr.net/gh/highlightjs/cdn-release@11/build/styles/atom-one-dark.min.css",
+	},
+};
+
+// Webview script, relative to the extension root
+const PREVIEW_SCRIPT = ["media", "preview.js"];
+
+// Folder (inside the export output) holding shared scripts and styles
+const EXPORT_ASSETS_FOLDER = "_assets";
+
+// Files an exported page may need, in the order their tags appear
+const EXPORT_ASSETS = ["highlightCssLight", "highlightCssDark", "mathJaxSvg", "highlightJs", "mermaid", "preview"];
+
+/**
+ * Appearance settings and the CSS variables they set on the page. The
+ * defaults match package.json and are used for missing or unsafe values.
+ */
+const APPEARANCE_SETTINGS = {
+	contentWidth: { property: "--md-content-width", default: "900px" },
+	fontFamily: {
+		property: "--md-font-family",
+		default: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif",
+	},
+	codeFontFamily: { property: "--md-code-font-family", default: "'Courier New', Courier, monospace" },
+};
+
+// Built-in style presets (lightweightMarkdownPreview.stylePreset), relative to the extension root
+const STYLE_PRESETS = {
+	github: { label: "GitHub", description: "Type and spacing close to Markdown rendered on GitHub", file: ["media", "styles", "github.css"] },
+	academic: { label: "Academic Paper", description: "Serif type, justified column, numbered sections", file: ["media", "styles", "academic.css"] },
+	compact: { label: "Compact", description: "Smaller type and tighter spacing", file: ["media", "styles", "compact.css"] },
+};
+
+// Image types that can be inlined as data URIs in exported HTML
+const IMAGE_MIME_TYPES = {
+	".apng": "image/apng",
+	".avif": "image/avif",
+	".bmp": "image/bmp",
+	".gif": "image/gif",
+	".ico": "image/x-icon",
+	".jpeg": "image/jpeg",
+	".jpg": "image/jpeg",
+	".png": "image/png",
+	".svg": "image/svg+xml",
+	".webp": "image/webp",
+};
+
+/**
+ * Generates the HTML page shell for the webview
+ *
+ * The shell is loaded once per panel. It holds no markdown: rendered content
+ * and the TOC are sent afterwards through postMessage (see updateWebviewContent)
+ * and patched in by media/preview.js.
+ *
+ * This function creates a sandboxed HTML environment with:
+ * - Security: Content Security Policy with nonce-based scripts
+ * - Styling: Clean, minimal design that follows the VS Code color theme
+ *   (--vscode-* variables) unless lightweightMarkdownPreview.theme forces light or dark
+ * - Interactivity: Mermaid diagrams and MathJax equations rendered by bundled libraries
+ * - Navigation: Collapsible overlay TOC sidebar for document outline (Option 3 pattern)
+ *
+ * CSP (Content Security Policy) breakdown:
+ * - default-src 'none': Block everything by default (secure)
+ * - img-src https: data: vscode-resource: Allow images from HTTPS, data URIs, and local files
+ * - media-src https: vscode-resource: Allow video and audio from HTTPS and local files
+ * - script-src 'nonce-*' <mathjax folder>: Only allow scripts with matching nonce, plus
+ *   the TeX packages MathJax autoloads from its own folder
+ * - style-src 'unsafe-inline' <library source> <stylesheets>: Allow inline styles, the highlight.js
+ *   theme and the custom stylesheets (each allowed by its exact URL)
+ * - font-src <library source> data: Allow MathJax fonts shipped with the extension
+ *
+ * The library source is the webview's own cspSource unless the user enabled
+ * CDN loading, in which case it is https://cdn.jsdelivr.net instead.
+ *
+ * Sidebar Pattern (Overlay - Option 3):
+ * - Sidebar is hidden by default, slides in from left when opened
+ * - Clicking overlay or close button closes the sidebar
+ * - Escape key also closes the sidebar
+ * - Content width remains consistent (no reflow)
+ * - Uses transform: translateX() for smooth, GPU-accelerated animation
+ *
+ * Mermaid Configuration (media/preview.js):
+ * - startOnLoad: false - We call mermaid.run() explicitly, on changed blocks only
+ * - securityLevel: lightweightMarkdownPreview.mermaid.securityLevel (settings.mermaidSecurityLevel)
+ * - UMD build exposes a global `mermaid`, loaded before the preview script runs
+ *
+ * MathJax Configuration:
+ * - Loads the tex-mml-chtml renderer (fonts are resolved next to it)
+ * - getMathJaxConfig runs first; it limits MathJax to the \(...\) and \[...\]
+ *   delimiters renderMath emits for $...$, $$...$$ and the TeX forms
+ *
+ * Libraries without a URL in `assets` (turned off in the settings) get no tag.
+ *
+ * @param {string} nonce - Security token for CSP (random string)
+ * @param {{urls: Object<string, string>, cspSources: string, scriptSources: string}} assets - Library URLs from
+ *   getLibraryAssets (extension.js)
+ * @param {string} previewScript - Webview URI of media/preview.js
+ * @param {Object} settings - Values passed to the preview script through the #preview-settings meta tag
+ * @param {Object<string, string>} appearance - CSS variables from getAppearance (extension.js)
+ * @param {string[]} stylesheets - Webview URLs of the custom stylesheets, linked after the built-in styles
+ * @returns {string} Complete HTML page
+ */
+function getWebviewContent(nonce, assets, previewScript, settings, appearance, stylesheets) {
+	const { urls, cspSources, scriptSources } = assets;
+	const styleSources = stylesheets.map((href) => escapeHtml(href)).join(" ");
+
+	return `<!DOCTYPE html>
+<html lang="en"${getThemeAttribute(settings.theme)}${getAppearanceAttribute(appearance)}>
+<head>
+	<meta charset="UTF-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1.0">
+	<meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src https: data: vscode-resource:; media-src https: vscode-resource:; script-src 'nonce-${nonce}' ${scriptSources}; style-src 'unsafe-inline' ${cspSources} ${styleSources}; font-src ${cspSources} data:;">
+	<meta id="preview-settings" data-settings="${escapeHtml(JSON.stringify(settings))}">
+	<title>Markdown Preview</title>
+	${urls.highlightCssLight ? `<link id="highlightCssLight" rel="stylesheet" href="${urls.highlightCssLight}">` : ""}
+	${urls.highlightCssDark ? `<link id="highlightCssDark" rel="stylesheet" href="${urls.highlightCssDark}">` : ""}
+	<style>
+${getPreviewStyles()}
+	</style>
+	${stylesheets.map((href) => `<link class="custom-stylesheet" rel="stylesheet" href="${escapeHtml(href)}">`).join("\n\t")}
+</head>
+<body>
+${getPreviewLayout("", "")}
+	${urls.mathJax ? `<script nonce="${nonce}">${getMathJaxConfig()}</script>` : ""}
+	${urls.mathJax ? `<script async src="${urls.mathJax}" nonce="${nonce}"></script>` : ""}
+	${urls.highlightJs ? `<script src="${urls.highlightJs}" nonce="${nonce}"></script>` : ""}
+	${urls.mermaid ? `<script src="${urls.mermaid}" nonce="${nonce}"></script>` : ""}
+	<script src="${previewScript}" nonce="${nonce}"></script>
+</body>
+</html>`;
+}
+
+/**
+ * Builds a standalone HTML page around rendered markdown
+ *
+ * Uses the preview's stylesheet, layout and script (in static mode), so the
+ * page looks and behaves like the preview. highlight.js, Mermaid and MathJax
+ * (SVG output) are only included when the content needs them.
+ *
+ * @param {{title: string, html: string, headings: Array, meta: {toc: boolean}}} content - Page title,
+ *   rendered markdown with local URLs already rewritten for the page, headings for the TOC sidebar,
+ *   and page options from front matter (see renderMarkdown)
+ * @param {Object} [options] - Page options
+ * @param {{theme: string, mermaidSecurityLevel: string}} [options.settings] - Values for the preview script,
+ *   as in the preview. Defaults to the automatic theme and strict Mermaid
+ * @param {Object<string, string>} [options.appearance] - CSS variables for the appearance settings
+ * @param {string[]} [options.styles] - Custom stylesheets (CSS text), inlined after the built-in styles
+ * @param {boolean} [options.highlight] - false leaves out highlight.js
+ * @param {string} [options.assetBase] - Relative URL of a folder holding the export assets, named by
+ *   getExportAssetFileName. When omitted, scripts and styles are inlined
+ * @param {function(string): Promise<string>} [options.loadAsset] - Reads an entry of EXPORT_ASSETS (see
+ *   getExportAssetPath); needed to inline them
+ * @returns {Promise<string>} Complete HTML page
+ */
+async function buildStaticPage(content, options = {}) {
+	const contentHtml = content.html;
+	const hasCode = options.highlight !== false && /<pre[^>]*>\s*<code/.test(contentHtml);
+	const needed = {
+		highlightCssLight: hasCode,
+		highlightCssDark: hasCode,
+		highlightJs: hasCode,
+		mathJaxSvg: contentHtml.includes("class=\"math "),
+		mermaid: contentHtml.includes("class=\"mermaid\""),
+		preview: true,
+	};
+
+	const tags = {};
+	for (const name of EXPORT_ASSETS) {
+		if (!needed[name]) {
+			tags[name] = "";
+		} else if (options.assetBase !== undefined) {
+			const href = `${options.assetBase}/${getExportAssetFileName(name)}`;
+			// Stylesheets get their asset name as id so the preview script can switch them
+			tags[name] = name.startsWith("highlightCss")
+				? `<link id="${name}" rel="stylesheet" href="${escapeHtml(href)}">`
+				: `<script src="${escapeHtml(href)}"></script>`;
+		} else {
+			const text = await options.loadAsset(name);
+			tags[name] = name.startsWith("highlightCss")
+				? `<style id="${name}">${text}</style>`
+				// A literal "</script" would end the inline script early
+				: `<script>${text.replace(/<\/script/gi, "<\\/script")}</script>`;
+		}
+	}
+
+	const customStyles = (options.styles || [])
+		.map((text) => `\n\t<style>${text.replace(/<\/style/gi, "<\\/style")}</style>`)
+		.join("");
+	const settings = { static: true, theme: "auto", mermaidSecurityLevel: "strict", ...options.settings };
+
+	return `<!DOCTYPE html>
+<html lang="en"${getThemeAttribute(settings.theme)}${getAppearanceAttribute(options.appearance || {})}>
+<head>
+	<meta charset="UTF-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1.0">
+	<meta id="preview-settings" data-settings="${escapeHtml(JSON.stringify(settings))}">
+	<title>${escapeHtml(content.title)}</title>
+	${tags.highlightCssLight}
+	${tags.highlightCssDark}
+	<style>
+${getPreviewStyles()}
+	</style>${customStyles}
+</head>
+<body${content.meta.toc ? "" : " class=\"toc-hidden\""}>
+${getPreviewLayout(generateTOC(content.headings), contentHtml)}
+	${tags.mathJaxSvg ? `<script>${getMathJaxConfig()}</script>` : ""}
+	${tags.mathJaxSvg}
+	${tags.highlightJs}
+	${tags.mermaid}
+	${tags.preview}
+</body>
+</html>`;
+}
+
+/**
+ * Returns the built-in stylesheet shared by the preview and exported pages
+ *
+ * @returns {string} CSS for the page layout, sidebar and rendered markdown
+ */
+function getPreviewStyles() {
+	return `		/*
+		 * Color palette. Without a forced theme the preview follows VS Code
+		 * through its --vscode-* variables; the fallbacks are used in exported
+		 * pages, picked by prefers-color-scheme.
+		 */
+		:root {
+			--md-background: var(--vscode-editor-background, #fff);
+			--md-foreground: var(--vscode-editor-foreground, #000);
+			--md-muted: var(--vscode-descriptionForeground, #666);
+			--md-border: var(--vscode-contrastBorder, var(--vscode-panel-border, #e0e0e0));
+			--md-control-foreground: var(--vscode-foreground, #333);
+			--md-control-border: var(--vscode-contrastBorder, var(--vscode-input-border, #d0d0d0));
+			--md-control-border-hover: var(--vscode-focusBorder, #999);
+			--md-surface: var(--vscode-textCodeBlock-background, #f5f5f5);
+			--md-surface-active: var(--vscode-toolbar-activeBackground, #e8e8e8);
+			--md-sidebar-background: var(--vscode-sideBar-background, #f9f9f9);
+			--md-link: var(--vscode-textLink-foreground, #0066cc);
+			--md-link-hover: var(--vscode-textLink-activeForeground, #0052a3);
+			--md-hover-background: var(--vscode-list-hoverBackground, rgba(0, 102, 204, 0.08));
+			--md-active-background: var(--vscode-list-inactiveSelectionBackground, rgba(0, 102, 204, 0.1));
+			--md-line-highlight: var(--vscode-editor-rangeHighlightBackground, rgba(255, 200, 0, 0.2));
+			--md-diff-inserted: var(--vscode-diffEditor-insertedLineBackground, rgba(46, 160, 67, 0.15));
+			--md-diff-removed: var(--vscode-diffEditor-removedLineBackground, rgba(248, 81, 73, 0.15));
+			/* Appearance settings, overridden by a style attribute on <html> */
+			--md-content-width: ${APPEARANCE_SETTINGS.contentWidth.default};
+			--md-font-family: ${APPEARANCE_SETTINGS.fontFamily.default};
+			--md-code-font-family: ${APPEARANCE_SETTINGS.codeFontFamily.default};
+		}
+
+		@media (prefers-color-scheme: dark) {
+			:root {
+				--md-background: var(--vscode-editor-background, #1e1e1e);
+				--md-foreground: var(--vscode-editor-foreground, #d4d4d4);
+				--md-muted: var(--vscode-descriptionForeground, #9d9d9d);
+				--md-border: var(--vscode-contrastBorder, var(--vscode-panel-border, #3c3c3c));
+				--md-control-foreground: var(--vscode-foreground, #ccc);
+				--md-control-border: var(--vscode-contrastBorder, var(--vscode-input-border, #555));
+				--md-control-border-hover: var(--vscode-focusBorder, #888);
+				--md-surface: var(--vscode-textCodeBlock-background, #2a2a2a);
+				--md-surface-active: var(--vscode-toolbar-activeBackground, #3a3a3a);
+				--md-sidebar-background: var(--vscode-sideBar-background, #252526);
+				--md-link: var(--vscode-textLink-foreground, #3794ff);
+				--md-link-hover: var(--vscode-textLink-activeForeground, #4daafc);
+				--md-hover-background: var(--vscode-list-hoverBackground, rgba(55, 148, 255, 0.12));
+				--md-active-background: var(--vscode-list-inactiveSelectionBackground, rgba(55, 148, 255, 0.18));
+				--md-line-highlight: var(--vscode-editor-rangeHighlightBackground, rgba(255, 255, 255, 0.08));
+				--md-diff-inserted: var(--vscode-diffEditor-insertedLineBackground, rgba(46, 160, 67, 0.2));
+				--md-diff-removed: var(--vscode-diffEditor-removedLineBackground, rgba(248, 81, 73, 0.2));
+			}
+		}
+
+		/* lightweightMarkdownPreview.theme set to "light" */
+		:root[data-theme="light"] {
+			--md-background: #fff;
+			--md-foreground: #000;
+			--md-muted: #666;
+			--md-border: #e0e0e0;
+			--md-control-foreground: #333;
+			--md-control-border: #d0d0d0;
+			--md-control-border-hover: #999;
+			--md-surface: #f5f5f5;
+			--md-surface-active: #e8e8e8;
+			--md-sidebar-background: #f9f9f9;
+			--md-link: #0066cc;
+			--md-link-hover: #0052a3;
+			--md-hover-background: rgba(0, 102, 204, 0.08);
+			--md-active-background: rgba(0, 102, 204, 0.1);
+			--md-line-highlight: rgba(255, 200, 0, 0.2);
+			--md-diff-inserted: rgba(46, 160, 67, 0.15);
+			--md-diff-removed: rgba(248, 81, 73, 0.15);
+		}
+
+		/* lightweightMarkdownPreview.theme set to "dark" */
+		:root[data-theme="dark"] {
+			--md-background: #1e1e1e;
+			--md-foreground: #d4d4d4;
+			--md-muted: #9d9d9d;
+			--md-border: #3c3c3c;
+			--md-control-foreground: #ccc;
+			--md-control-border: #555;
+			--md-control-border-hover: #888;
+			--md-surface: #2a2a2a;
+			--md-surface-active: #3a3a3a;
+			--md-sidebar-background: #252526;
+			--md-link: #3794ff;
+			--md-link-hover: #4daafc;
+			--md-hover-background: rgba(55, 148, 255, 0.12);
+			--md-active-background: rgba(55, 148, 255, 0.18);
+			--md-line-highlight: rgba(255, 255, 255, 0.08);
+			--md-diff-inserted: rgba(46, 160, 67, 0.2);
+			--md-diff-removed: rgba(248, 81, 73, 0.2);
+		}
+
+		/*
+		 * Callout accents, GitHub's alert colors. Inside VS Code the body's
+		 * theme class picks the set; a forced theme outranks it.
+		 */
+		:root,
+		body.vscode-light,
+		body.vscode-high-contrast-light,
+		:root[data-theme="light"] body {
+			--md-alert-note: #0969da;
+			--md-alert-tip: #1a7f37;
+			--md-alert-important: #8250df;
+			--md-alert-warning: #9a6700;
+			--md-alert-caution: #d1242f;
+		}
+
+		@media (prefers-color-scheme: dark) {
+			:root {
+				--md-alert-note: #4493f8;
+				--md-alert-tip: #3fb950;
+				--md-alert-important: #ab7df8;
+				--md-alert-warning: #d29922;
+				--md-alert-caution: #f85149;
+			}
+		}
+
+		body.vscode-dark,
+		body.vscode-high-contrast:not(.vscode-high-contrast-light),
+		:root[data-theme="dark"] body {
+			--md-alert-note: #4493f8;
+			--md-alert-tip: #3fb950;
+			--md-alert-important: #ab7df8;
+			--md-alert-warning: #d29922;
+			--md-alert-caution: #f85149;
+		}
+
+		* {
+			box-sizing: border-box;
+		}
+
+		body {
+			font-family: var(--md-font-family);
+			line-height: 1.6;
+			margin: 0;
+			padding: 0;
+			background: var(--md-background);
+			color: var(--md-foreground);
+		}
+
+		a {
+			color: var(--md-link);
+		}
+
+		/* Hamburger toggle button */
+		.sidebar-toggle {
+			position: fixed;
+			top: 10px;
+			right: 10px;
+			z-index: 1001;
+			background: transparent;
+			color: var(--md-control-foreground);
+			border: 1px solid var(--md-control-border);
+			padding: 12px 16px;
+			cursor: pointer;
+			border-radius: 4px;
+			font-size: 1.5em;
+			font-weight: normal;
+			transition: background 0.2s ease, border-color 0.2s ease;
+			line-height: 1;
+		}
+
+		.sidebar-toggle:hover {
+			background: var(--md-surface);
+			border-color: var(--md-control-border-hover);
+		}
+
+		.sidebar-toggle:active {
+			background: var(--md-surface-active);
+		}
+
+		/* Front matter "toc: false" */
+		body.toc-hidden .sidebar-toggle,
+		body.toc-hidden .sidebar-overlay,
+		body.toc-hidden .toc-sidebar {
+			display: none;
+		}
+
+		body.toc-hidden .history-nav {
+			right: 10px;
+		}
+
+		/* Front matter metadata table */
+		.front-matter {
+			margin-bottom: 1.5em;
+			border: 1px solid var(--md-border);
+			border-radius: 4px;
+			padding: 0.5em 1em;
+		}
+
+		.front-matter summary {
+			cursor: pointer;
+			color: var(--md-muted);
+		}
+
+		.front-matter table {
+			margin: 0.75em 0 0.25em;
+		}
+
+		.front-matter th {
+			text-align: left;
+			white-space: nowrap;
+		}
+
+		/* Transcluded files and the ones that couldn't be included */
+		.transclusion > :last-child {
+			margin-bottom: 0;
+		}
+
+		.transclusion-error {
+			border-left: 4px solid var(--vscode-errorForeground, #d1242f);
+			padding: 0.25em 1em;
+			color: var(--md-muted);
+		}
+
+		/* Image, video or audio whose local file doesn't exist */
+		.missing-resource {
+			display: inline-block;
+			border: 1px dashed var(--md-border);
+			border-radius: 4px;
+			padding: 0.5em 1em;
+			color: var(--md-muted);
+		}
+
+		/* Back/forward through followed links, shown once there is history */
+		.history-nav {
+			position: fixed;
+			top: 10px;
+			right: 72px;
+			z-index: 1001;
+			display: flex;
+			gap: 4px;
+		}
+
+		.history-nav[hidden] {
+			display: none;
+		}
+
+		.history-nav button {
+			background: var(--md-background);
+			color: var(--md-control-foreground);
+			border: 1px solid var(--md-control-border);
+			padding: 8px 12px;
+			cursor: pointer;
+			border-radius: 4px;
+			font-size: 1.1em;
+			line-height: 1;
+		}
+
+		.history-nav button:hover:not(:disabled) {
+			background: var(--md-surface);
+			border-color: var(--md-control-border-hover);
+		}
+
+		.history-nav button:disabled {
+			opacity: 0.4;
+			cursor: default;
+		}
+
+		/* Overlay backdrop */
+		.sidebar-overlay {
+			position: fixed;
+			top: 0;
+			left: 0;
+			right: 0;
+			bottom: 0;
+			background: rgba(0, 0, 0, 0.5);
+			opacity: 0;
+			pointer-events: none;
+			transition: opacity 0.3s ease;
+			z-index: 1000;
+		}
+
+		body.sidebar-open .sidebar-overlay {
+			opacity: 1;
+			pointer-events: auto;
+		}
+
+		/* TOC Sidebar - Overlay pattern */
+		.toc-sidebar {
+			position: fixed;
+			right: 0;
+			top: 0;
+			height: 100vh;
+			width: 280px;
+			background: var(--md-sidebar-background);
+			border-left: 1px solid var(--md-border);
+			overflow-y: auto;
+			padding: 20px;
+			font-size: 0.9em;
+			z-index: 1001;
+			transform: translateX(100%);
+			transition: transform 0.3s ease;
+		}
+
+		body.sidebar-open .toc-sidebar {
+			transform: translateX(0);
+		}
+
+		/* Close button in sidebar header */
+		.toc-header {
+			display: flex;
+			justify-content: space-between;
+			align-items: center;
+			font-size: 0.85em;
+			font-weight: 600;
+			text-transform: uppercase;
+			letter-spacing: 0.5px;
+			color: var(--md-muted);
+			margin-bottom: 12px;
+			padding-bottom: 8px;
+			border-bottom: 1px solid var(--md-border);
+		}
+
+		.toc-close {
+			background: none;
+			border: none;
+			font-size: 1.5em;
+			color: var(--md-muted);
+			cursor: pointer;
+			padding: 0;
+			display: flex;
+			align-items: center;
+			justify-content: center;
+			width: 28px;
+			height: 28px;
+			border-radius: 3px;
+			transition: background 0.2s ease;
+		}
+
+		.toc-close:hover {
+			background: var(--md-hover-background);
+			color: var(--md-link);
+		}
+
+		.toc-list {
+			list-style: none;
+			margin: 0;
+			padding: 0;
+		}
+
+		.toc-list ul {
+			list-style: none;
+			margin: 0;
+			padding-left: 12px;
+			margin-top: 2px;
+		}
+
+		.toc-item {
+			margin: 2px 0;
+		}
+
+		/* Simplified toc-link styling - uniform font/color */
+		.toc-link {
+			display: block;
+			padding: 8px 12px;
+			text-decoration: none;
+			color: var(--md-link);
+			border-radius: 3px;
+			border-left: 3px solid transparent;
+			transition: all 0.15s ease;
+		}
+
+		.toc-link:hover {
+			background: var(--md-hover-background);
+			color: var(--md-link-hover);
+		}
+
+		.toc-link.active {
+			border-left-color: var(--md-link);
+			background: var(--md-active-background);
+			color: var(--md-link-hover);
+			font-weight: 500;
+		}
+
+		/* Indentation shows hierarchy, no font-size variations */
+		.toc-level-2 .toc-link,
+		.toc-level-3 .toc-link,
+		.toc-level-4 .toc-link,
+		.toc-level-5 .toc-link,
+		.toc-level-6 .toc-link {
+			font-size: 0.9em;
+			color: var(--md-link);
+		}
+
+		.toc-level-2 .toc-link:hover,
+		.toc-level-3 .toc-link:hover,
+		.toc-level-4 .toc-link:hover,
+		.toc-level-5 .toc-link:hover,
+		.toc-level-6 .toc-link:hover {
+			background: var(--md-hover-background);
+			color: var(--md-link-hover);
+		}
+
+		.toc-level-2 .toc-link.active,
+		.toc-level-3 .toc-link.active,
+		.toc-level-4 .toc-link.active,
+		.toc-level-5 .toc-link.active,
+		.toc-level-6 .toc-link.active {
+			border-left-color: var(--md-link);
+			background: var(--md-active-background);
+		}
+
+		/* Content area - no margin offset needed (sidebar is overlay) */
+		.content {
+			flex: 1;
+			padding: 20px;
+			max-width: var(--md-content-width);
+			margin: 0 auto;
+		}
+
+		pre {
+			background-color: var(--md-surface);
+			border: 1px solid var(--md-border);
+			border-radius: 4px;
+			padding: 12px;
+			overflow-x: auto;
+		}
+
+		code {
+			background-color: var(--md-surface);
+			padding: 2px 4px;
+			border-radius: 3px;
+			font-family: var(--md-code-font-family);
+			font-size: 0.9em;
+		}
+
+		pre code {
+			background-color: transparent;
+			padding: 0;
+			font-family: var(--md-code-font-family);
+		}
+
+		/* Code blocks: optional title, copy button on hover, marked and numbered lines */
+		.code-block {
+			position: relative;
+			margin: 1em 0;
+		}
+
+		.code-block pre {
+			margin: 0;
+		}
+
+		.code-title {
+			background-color: var(--md-surface-active);
+			border: 1px solid var(--md-border);
+			border-bottom: none;
+			border-radius: 4px 4px 0 0;
+			padding: 6px 12px;
+			font-family: var(--md-code-font-family);
+			font-size: 0.85em;
+			color: var(--md-muted);
+		}
+
+		.code-title + pre {
+			border-radius: 0 0 4px 4px;
+		}
+
+		.code-copy {
+			position: absolute;
+			top: 6px;
+			right: 6px;
+			display: none;
+		}
+
+		.code-block:hover .code-copy,
+		.code-copy:focus {
+			display: block;
+		}
+
+		/* Line backgrounds run edge to edge: the lines take over the side padding */
+		.code-block pre:has(.code-line) {
+			padding-left: 0;
+			padding-right: 0;
+		}
+
+		.code-line {
+			display: inline-block;
+			min-width: 100%;
+			padding: 0 12px;
+		}
+
+		.code-line.highlighted {
+			background-color: var(--md-line-highlight);
+		}
+
+		.code-line.inserted {
+			background-color: var(--md-diff-inserted);
+		}
+
+		.code-line.deleted {
+			background-color: var(--md-diff-removed);
+		}
+
+		.line-numbers code {
+			counter-reset: code-line;
+		}
+
+		.line-numbers .code-line::before {
+			counter-increment: code-line;
+			content: counter(code-line);
+			display: inline-block;
+			width: 2.5em;
+			margin-right: 1em;
+			text-align: right;
+			color: var(--md-muted);
+			user-select: none;
+		}
+
+		blockquote {
+			border-left: 4px solid var(--md-border);
+			margin: 0;
+			padding-left: 16px;
+			color: var(--md-muted);
+		}
+
+		/* Callouts: GitHub alerts and admonitions. --md-alert is the accent color */
+		.markdown-alert {
+			--md-alert: var(--md-alert-note);
+			border-left: 4px solid var(--md-alert);
+			padding: 8px 16px;
+			margin: 16px 0;
+		}
+
+		.markdown-alert > :first-child {
+			margin-top: 0;
+		}
+
+		.markdown-alert > :last-child {
+			margin-bottom: 0;
+		}
+
+		.markdown-alert-title {
+			display: flex;
+			align-items: center;
+			gap: 8px;
+			font-weight: 500;
+			color: var(--md-alert);
+		}
+
+		.markdown-alert-title .octicon {
+			fill: currentColor;
+			flex-shrink: 0;
+		}
+
+		.markdown-alert-tip {
+			--md-alert: var(--md-alert-tip);
+		}
+
+		.markdown-alert-important {
+			--md-alert: var(--md-alert-important);
+		}
+
+		.markdown-alert-warning {
+			--md-alert: var(--md-alert-warning);
+		}
+
+		.markdown-alert-caution {
+			--md-alert: var(--md-alert-caution);
+		}
+
+		.task-list-item-checkbox:not(:disabled) {
+			cursor: pointer;
+		}
+
+		table {
+			border-collapse: collapse;
+			width: 100%;
+			margin: 16px 0;
+		}
+
+		th, td {
+			border: 1px solid var(--md-border);
+			padding: 8px;
+			text-align: left;
+		}
+
+		th {
+			background-color: var(--md-surface);
+		}
+
+		img {
+			max-width: 100%;
+			height: auto;
+		}
+
+		.mermaid {
+			position: relative;
+			background-color: transparent;
+			border: none;
+			text-align: center;
+		}
+
+		/* Copy/save buttons over a rendered diagram, shown on hover */
+		.diagram-toolbar {
+			position: absolute;
+			top: 6px;
+			right: 6px;
+			display: none;
+			gap: 4px;
+		}
+
+		.mermaid:hover .diagram-toolbar,
+		.diagram-toolbar:focus-within {
+			display: flex;
+		}
+
+		.diagram-toolbar button,
+		.code-copy {
+			background: var(--md-background);
+			color: var(--md-control-foreground);
+			border: 1px solid var(--md-control-border);
+			padding: 4px 8px;
+			cursor: pointer;
+			border-radius: 4px;
+			font-family: var(--md-font-family);
+			font-size: 12px;
+		}
+
+		.diagram-toolbar button:hover,
+		.code-copy:hover {
+			background: var(--md-surface);
+			border-color: var(--md-control-border-hover);
+		}
+
+		/* Diagrams and formulas that failed to render; the extension also lists them as problems */
+		.render-error {
+			border: 1px solid var(--md-alert-caution);
+			border-left-width: 4px;
+			border-radius: 4px;
+			padding: 8px 12px;
+			text-align: left;
+			white-space: pre-wrap;
+			font-family: var(--md-code-font-family);
+			font-size: 0.85em;
+			color: var(--md-foreground);
+		}
+
+		.render-error-title {
+			margin-bottom: 4px;
+			font-family: var(--md-font-family);
+			font-weight: 500;
+			color: var(--md-alert-caution);
+		}
+
+		.math-error {
+			outline: 1px solid var(--md-alert-caution);
+			outline-offset: 2px;
+		}
+
+		/* highlight.js themes paint their own background; keep the block's */
+		pre code.hljs {
+			background: transparent;
+		}
+
+		h1, h2, h3, h4, h5, h6 {
+			scroll-margin-top: 20px;
+		}
+
+		/* Mobile responsiveness */
+		@media (max-width: 768px) {
+			.content {
+				padding: 15px;
+			}
+
+			.sidebar-toggle {
+				top: 8px;
+				right: 8px;
+				padding: 10px 14px;
+				font-size: 1.3em;
+			}
+		}`;
+}
+
+/**
+ * Returns the page body markup: history buttons, sidebar toggle, TOC sidebar and content area
+ *
+ * The webview starts with both empty and fills them from "update" messages;
+ * exported pages pass their content in directly.
+ *
+ * @param {string} tocHtml - TOC markup from generateTOC
+ * @param {string} contentHtml - Rendered markdown
+ * @returns {string} HTML for the inside of <body>, without scripts
+ */
+function getPreviewLayout(tocHtml, contentHtml) {
+	return `	<nav class="history-nav" aria-label="Preview history" hidden>
+		<button class="history-back" aria-label="Back" title="Back (Alt+Left)" disabled>←</button>
+		<button class="history-forward" aria-label="Forward" title="Forward (Alt+Right)" disabled>→</button>
+	</nav>
+	<button class="sidebar-toggle" aria-label="Toggle outline sidebar" title="Show outline (ESC to close)">☰</button>
+	<div class="sidebar-overlay" aria-hidden="true"></div>
+	<aside class="toc-sidebar" role="navigation" aria-label="Document outline">
+		<div class="toc-header">
+			<span>Contents</span>
+			<button class="toc-close" aria-label="Close sidebar">✕</button>
+		</div>
+		<div class="toc-body">${tocHtml}</div>
+	</aside>
+	<main class="content">${contentHtml}</main>`;
+}
+
+/**
+ * Returns the <html> attribute that forces a preview theme
+ *
+ * Set on the page itself (not only by the preview script) so a forced theme
+ * applies from the first paint.
+ *
+ * @param {string} theme - Value of lightweightMarkdownPreview.theme: "auto", "light" or "dark"
+ * @returns {string} ` data-theme="..."` for a forced theme, "" to follow the color theme
+ */
+function getThemeAttribute(theme) {
+	return theme === "light" || theme === "dark" ? ` data-theme="${theme}"` : "";
+}
+
+/**
+ * Returns the <html> style attribute that applies the appearance settings
+ *
+ * @param {Object<string, string>} appearance - CSS variables from getAppearance
+ * @returns {string} ` style="..."` setting each variable, "" if there are none
+ */
+function getAppearanceAttribute(appearance) {
+	const declarations = Object.keys(appearance).map((property) => `${property}: ${appearance[property]}`);
+	return declarations.length ? ` style="${escapeHtml(declarations.join("; "))}"` : "";
+}
+
+/**
+ * Returns the MathJax configuration script shared by the preview and exported pages
+ *
+ * Only the delimiters renderMath writes are enabled; environments are
+ * processed too since renderMath writes them bare. MathJax only looks inside
+ * the .math elements renderMath writes: the content and outline are ignored
+ * otherwise, so escaped delimiters (markdown "\\(") stay text.
+ *
+ * MathJax may load after the first update (the preview loads it async), so
+ * its startup typeset fires a "mathjax-ready" event the preview script waits
+ * for before it looks for TeX errors.
+ *
+ * @returns {string} JavaScript that sets window.MathJax before MathJax loads
+ */
+function getMathJaxConfig() {
+	const config = {
+		tex: {
+			inlineMath: [["\\(", "\\)"]],
+			displayMath: [["\\[", "\\]"]],
+			processEscapes: false,
+			processEnvironments: true,
+		},
+		options: {
+			ignoreHtmlClass: "mathjax_ignore|content|toc-body",
+			processHtmlClass: "math",
+		},
+	};
+	// pageReady is a function, so it can't go through JSON
+	return `window.MathJax = ${JSON.stringify(config)};
+window.MathJax.startup = { pageReady: () => window.MathJax.startup.defaultPageReady().then(() => window.dispatchEvent(new Event("mathjax-ready"))) };`;
+}
+
+/**
+ * Returns the CSS variables for the appearance settings
+ *
+ * Values end up in a style attribute, so anything that could close the
+ * declaration or the attribute falls back to the default.
+ *
+ * @param {function(string): *} getSetting - Returns the value of a setting named like the keys of
+ *   APPEARANCE_SETTINGS, or undefined if it isn't set
+ * @returns {Object<string, string>} CSS values keyed by custom property name
+ */
+function getAppearanceVariables(getSetting) {
+	const properties = {};
+	Object.keys(APPEARANCE_SETTINGS).forEach((key) => {
+		const setting = APPEARANCE_SETTINGS[key];
+		const value = getSetting(key);
+		properties[setting.property] = typeof value === "string" && /^[^;{}<>\\]+$/.test(value.trim())
+			? value.trim()
+			: setting.default;
+	});
+	return properties;
+}
+
+/**
+ * Returns the renderMarkdown options that come from the settings
+ *
+ * Shared by the extension and the command line, so both render a document
+ * the same way. File access (documentPath, rootPath, readFile,
+ * resolveResource) is left to the caller.
+ *
+ * @param {function(string, *): *} getSetting - Returns a setting by its name without the
+ *   "lightweightMarkdownPreview." prefix, or the default when it isn't set
+ * @param {boolean} trusted - Whether the workspace is trusted
+ * @returns {Object} Options for renderMarkdown
+ */
+function getRenderSettings(getSetting, trusted) {
+	return {
+		frontMatter: getSetting("frontMatter", "show"),
+		callouts: getSetting("callouts", {}),
+		toc: getSetting("toc.enabled", true),
+		math: getSetting("math.enabled", true),
+		mermaid: getSetting("mermaid.enabled", true),
+		lineNumbers: getSetting("code.lineNumbers", false),
+		trusted,
+		allowedElements: getSetting("html.allowedElements", {}),
+	};
+}
+
+/**
+ * Returns the settings passed to the preview script, in the preview and in exported pages
+ *
+ * Mermaid runs with securityLevel "strict" unless the workspace is trusted.
+ *
+ * @param {function(string, *): *} getSetting - Returns a setting by name, or the default (see getRenderSettings)
+ * @param {boolean} trusted - Whether the workspace is trusted
+ * @returns {{theme: string, mermaidSecurityLevel: string}} Values for the #preview-settings meta tag
+ */
+function getPreviewSettings(getSetting, trusted) {
+	return {
+		theme: getSetting("theme", "auto"),
+		mermaidSecurityLevel: trusted ? getSetting("mermaid.securityLevel", "loose") : "strict",
+	};
+}
+
+/**
+ * Points relative links to markdown files at the exported .html pages
+ *
+ * @param {string} html - Rendered markdown
+ * @returns {string} The HTML with links like "guide.md#install" changed to "guide.html#install"
+ */
+function rewriteMarkdownLinks(html) {
+	return html.replace(/<a href="([^"#?]+)\.(?:md|markdown)([#?][^"]*)?"/gi, (match, target, suffix) => {
+		if (/^[a-z][a-z0-9+.-]*:/i.test(target)) {
+			return match; // Not a relative link
+		}
+		return `<a href="${target}.html${suffix || ""}"`;
+	});
+}
+
+/**
+ * Rewrites local file URLs in rendered HTML for an exported page
+ *
+ * Covers what the preview resolves (images, picture sources, video and audio)
+ * and links to local files other than markdown, which are left to
+ * rewriteMarkdownLinks. Files are copied where placeResource puts them;
+ * images it doesn't place are inlined as data URIs, other files are left as
+ * written. Missing images, video and audio are shown as placeholders.
+ *
+ * @param {string} html - Rendered markdown with paths as written
+ * @param {string} documentPath - POSIX path of the markdown document, which relative paths are relative to
+ * @param {Object} hooks - File access
+ * @param {string} [hooks.rootPath] - POSIX path that paths starting with "/" are relative to
+ * @param {function(string): Promise<(Uint8Array|undefined)>} hooks.readFile - Reads a file by path,
+ *   resolving to undefined if it can't be read
+ * @param {function(string, Uint8Array): Promise<void>} hooks.writeFile - Writes a copied file, creating its folder
+ * @param {function(string): ({target: string, href: string} | undefined)} hooks.placeResource - Decides
+ *   where a file is copied to and how the page refers to it (see placeInFolder, placeInFilesFolder);
+ *   undefined doesn't copy it
+ * @returns {Promise<string>} The HTML with local URLs rewritten
+ */
+async function exportResources(html, documentPath, hooks) {
+	const attributes = { ...MEDIA_ATTRIBUTES, a: ["href"] };
+	const urls = new Set();
+	rewriteResourceUrls(html, (url) => {
+		urls.add(url);
+		return url;
+	}, attributes);
+
+	const copied = new Map();
+	const inlined = new Map();
+	const missing = new Set();
+	for (const url of urls) {
+		const filePath = url.startsWith("#") ? undefined : resolveLocalPath(getLocalPath(url), documentPath, hooks.rootPath);
+		if (!filePath || isMarkdownPath(filePath)) {
+			continue;
+		}
+
+		// Leave the original path; a missing file shouldn't fail the export
+		const bytes = await hooks.readFile(filePath);
+		if (!bytes) {
+			missing.add(url);
+			continue;
+		}
+		const placement = hooks.placeResource(filePath);
+		const mimeType = IMAGE_MIME_TYPES[path.posix.extname(filePath).toLowerCase()];
+		if (placement) {
+			await hooks.writeFile(placement.target, bytes);
+			copied.set(url, placement.href);
+		} else if (mimeType) {
+			inlined.set(url, `data:${mimeType};base64,${Buffer.from(bytes).toString("base64")}`);
+		}
+	}
+
+	return rewriteResourceUrls(html, (url, element) => {
+		if (copied.has(url)) {
+			return copied.get(url);
+		}
+		// A link can't navigate to a data URI
+		if (inlined.has(url) && element !== "a") {
+			return inlined.get(url);
+		}
+		return missing.has(url) ? undefined : url;
+	}, attributes);
+}
+
+/**
+ * Places the files of a folder export (see exportResources)
+ *
+ * Files inside the exported folder are copied to the same relative path in
+ * the output folder; files outside it aren't copied.
+ *
+ * @param {string} sourceFolder - POSIX path of the exported folder
+ * @param {string} outputFolder - POSIX path of the output folder
+ * @param {string} pageFolder - POSIX path of the folder the page is written to
+ * @returns {function(string): ({target: string, href: string} | undefined)} The placeResource hook
+ */
+function placeInFolder(sourceFolder, outputFolder, pageFolder) {
+	return (filePath) => {
+		const relativePath = path.posix.relative(sourceFolder, filePath);
+		if (!relativePath || relativePath.startsWith("..") || path.posix.isAbsolute(relativePath)) {
+			return undefined;
+		}
+		const target = path.posix.join(outputFolder, relativePath);
+		return { target, href: path.posix.relative(pageFolder, target) };
+	};
+}
+
+/**
+ * Places the files of a single-file export in a "<name>_files" folder beside
+ * the page (see exportResources), renaming files whose names are taken
+ *
+ * @param {string} pagePath - POSIX path of the exported page
+ * @returns {function(string): {target: string, href: string}} The placeResource hook
+ */
+function placeInFilesFolder(pagePath) {
+	const filesFolder = `${path.posix.basename(replaceExtension(pagePath, ""))}_files`;
+	const usedNames = new Set();
+	return (filePath) => {
+		const name = uniqueFileName(path.posix.basename(filePath), usedNames);
+		return { target: path.posix.join(path.posix.dirname(pagePath), filesFolder, name), href: `${filesFolder}/${name}` };
+	};
+}
+
+/**
+ * @param {string} filePath - A file path
+ * @param {string} extension - New extension including the dot, or "" to drop it
+ * @returns {string} The path with its extension replaced
+ */
+function replaceExtension(filePath, extension) {
+	const currentExtension = path.posix.extname(filePath);
+	return filePath.substring(0, filePath.length - currentExtension.length) + extension;
+}
+
+/**
+ * Picks a file name that hasn't been used yet, adding "-1", "-2"... as needed
+ *
+ * @param {string} name - Preferred file name
+ * @param {Set<string>} usedNames - Names already taken; the result is added to it
+ * @returns {string} A unique file name
+ */
+function uniqueFileName(name, usedNames) {
+	const extension = path.posix.extname(name);
+	const stem = name.substring(0, name.length - extension.length);
+	let candidate = name;
+	for (let i = 1; usedNames.has(candidate); i++) {
+		candidate = `${stem}-${i}${extension}`;
+	}
+	usedNames.add(candidate);
+	return candidate;
+}
+
+/**
+ * @param {string} name - Entry of EXPORT_ASSETS
+ * @returns {string[]} Path of the asset relative to the extension root
+ */
+function getExportAssetPath(name) {
+	return name === "preview" ? PREVIEW_SCRIPT : LIBRARIES[name].local;
+}
+
+/**
+ * @param {string} name - Entry of EXPORT_ASSETS
+ * @returns {string} File name of the asset inside the "_assets" folder
+ */
+function getExportAssetFileName(name) {
+	const assetPath = getExportAssetPath(name);
+	return assetPath[assetPath.length - 1];
+}
+
+module.exports = {
+	LIBRARIES,
+	PREVIEW_SCRIPT,
+	EXPORT_ASSETS_FOLDER,
+	EXPORT_ASSETS,
+	APPEARANCE_SETTINGS,
+	STYLE_PRESETS,
+	IMAGE_MIME_TYPES,
+	getAppearanceVariables,
+	getRenderSettings,
+	getPreviewSettings,
+	getWebviewContent,
+	buildStaticPage,
+	rewriteMarkdownLinks,
+	exportResources,
+	placeInFolder,
+	placeInFilesFolder,
+	replaceExtension,
+	uniqueFileName,
+	getExportAssetPath,
+	getExportAssetFileName,
+};
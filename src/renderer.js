@@ -0,0 +1,1413 @@
+/**
+ * Markdown rendering pipeline for the Lightweight Markdown Preview
+ *
+ * Turns markdown into sanitized HTML, the heading list for the TOC and a list
+ * of problems found along the way. Nothing here depends on VS Code: paths are
+ * plain POSIX paths, and reading included files and resolving media URLs are
+ * left to hooks passed in by the caller. The extension uses it for the
+ * preview and HTML export; it can be required from Node as it is.
+ */
+const path = require("path");
+const { Marked, Lexer } = require("marked");
+
+// How deeply included files may include further files
+const MAX_INCLUDE_DEPTH = 8;
+
+/**
+ * HTML kept by sanitizeHtml: element names mapped to the attributes they may
+ * carry besides SANITIZE_GLOBAL_ATTRIBUTES. Covers what GitHub allows in
+ * Markdown plus the markup the extension generates (callout icons, task
+ * checkboxes, math and diagram wrappers).
+ */
+const SANITIZE_ELEMENTS = {
+	...Object.fromEntries([
+		"abbr", "b", "bdi", "br", "caption", "cite", "code", "dd", "dfn", "div", "dl", "dt", "em",
+		"figcaption", "figure", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "kbd", "mark", "p",
+		"picture", "pre", "rp", "rt", "ruby", "s", "samp", "section", "small", "span", "strike",
+		"strong", "sub", "summary", "sup", "table", "tbody", "tfoot", "thead", "tr", "tt", "u", "ul",
+		"var", "wbr",
+	].map((name) => [name, []])),
+	a: ["href", "name"],
+	blockquote: ["cite"],
+	bdo: ["dir"],
+	col: ["span", "width"],
+	colgroup: ["span", "width"],
+	del: ["cite", "datetime"],
+	details: ["open"],
+	img: ["src", "srcset", "alt", "width", "height", "loading"],
+	// Only checkboxes survive, see sanitizeAttributes
+	input: ["type", "checked", "disabled", "data-task-line"],
+	ins: ["cite", "datetime"],
+	li: ["value"],
+	ol: ["start", "type", "reversed"],
+	q: ["cite"],
+	source: ["srcset", "media", "type", "width", "height"],
+	td: ["colspan", "rowspan"],
+	th: ["colspan", "rowspan", "scope"],
+	time: ["datetime"],
+	svg: ["viewbox", "width", "height"],
+	path: ["d"],
+};
+
+// Attributes allowed on every element kept by sanitizeHtml
+const SANITIZE_GLOBAL_ATTRIBUTES = ["id", "class", "title", "lang", "dir", "align", "role", "aria-hidden", "aria-label", "data-line"];
+
+// Added to SANITIZE_ELEMENTS in trusted workspaces, which also allow any style and data-* attribute
+const SANITIZE_TRUSTED_ELEMENTS = {
+	audio: ["src", "controls", "loop", "muted", "preload"],
+	center: [],
+	font: ["color", "face", "size"],
+	source: ["src"],
+	track: ["src", "kind", "label", "srclang", "default"],
+	video: ["src", "controls", "loop", "muted", "poster", "preload", "width", "height"],
+};
+
+// Never kept, even when lightweightMarkdownPreview.html.allowedElements lists them
+const SANITIZE_FORBIDDEN_ELEMENTS = ["script", "iframe", "frame", "frameset", "object", "embed", "applet", "base", "link", "meta", "form"];
+
+// Elements whose content is text, not markup; when they aren't kept, their content goes too
+const RAW_TEXT_ELEMENTS = ["script", "style", "textarea", "title", "xmp", "iframe", "noembed", "noframes", "noscript", "plaintext"];
+
+// Attributes holding a URL, and the schemes they may use (relative URLs are always fine)
+const URL_ATTRIBUTES = ["href", "src", "cite", "poster"];
+
+const SAFE_URL_SCHEMES = ["http", "https", "mailto"];
+
+// Attributes that load a local file into the page, by element; resolved after sanitizing
+const MEDIA_ATTRIBUTES = {
+	img: ["src", "srcset"],
+	source: ["src", "srcset"],
+	video: ["src", "poster"],
+	audio: ["src"],
+	track: ["src"],
+};
+
+/**
+ * Built-in callout types, styled like GitHub alerts. `icon` names an entry of
+ * CALLOUT_ICONS. MkDocs admonition types map onto these through CALLOUT_ALIASES;
+ * more types can be added with lightweightMarkdownPreview.callouts.
+ */
+const CALLOUT_TYPES = {
+	note: { title: "Note", icon: "info" },
+	tip: { title: "Tip", icon: "light-bulb" },
+	important: { title: "Important", icon: "report" },
+	warning: { title: "Warning", icon: "alert" },
+	caution: { title: "Caution", icon: "stop" },
+};
+
+const CALLOUT_ALIASES = {
+	abstract: "note", summary: "note", tldr: "note", info: "note", todo: "note",
+	example: "note", quote: "note", cite: "note",
+	hint: "tip", success: "tip", check: "tip", done: "tip",
+	question: "important", help: "important", faq: "important",
+	attention: "warning",
+	failure: "caution", fail: "caution", missing: "caution", danger: "caution", error: "caution", bug: "caution",
+};
+
+// 16px Octicons (MIT, GitHub Inc.), as used by GitHub's own alerts
+const CALLOUT_ICONS = {
+	"info": "M0 8a8 8 0 1 1 16 0A8 8 0 0 1 0 8Zm8-6.5a6.5 6.5 0 1 0 0 13 6.5 6.5 0 0 0 0-13ZM6.5 7.75A.75.75 0 0 1 7.25 7h1a.75.75 0 0 1 .75.75v2.75h.25a.75.75 0 0 1 0 1.5h-2a.75.75 0 0 1 0-1.5h.25v-2h-.25a.75.75 0 0 1-.75-.75ZM8 6a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z",
+	"light-bulb": "M8 1.5c-2.363 0-4 1.69-4 3.75 0 .984.424 1.625.984 2.304l.214.253c.223.264.47.556.673.848.284.411.537.896.621 1.49a.75.75 0 0 1-1.484.211c-.04-.282-.163-.547-.37-.847a8.456 8.456 0 0 0-.542-.68c-.084-.1-.173-.205-.268-.32C3.201 7.75 2.5 6.766 2.5 5.25 2.5 2.31 4.863 0 8 0s5.5 2.31 5.5 5.25c0 1.516-.701 2.5-1.328 3.259-.095.115-.184.22-.268.319-.207.245-.383.453-.541.681-.208.3-.33.565-.37.847a.751.751 0 0 1-1.485-.212c.084-.593.337-1.078.621-1.489.203-.292.45-.584.673-.848.075-.088.147-.173.213-.253.561-.679.985-1.32.985-2.304 0-2.06-1.637-3.75-4-3.75ZM5.75 12h4.5a.75.75 0 0 1 0 1.5h-4.5a.75.75 0 0 1 0-1.5ZM6 15.25a.75.75 0 0 1 .75-.75h2.5a.75.75 0 0 1 0 1.5h-2.5a.75.75 0 0 1-.75-.75Z",
+	"report": "M0 1.75C0 .784.784 0 1.75 0h12.5C15.216 0 16 .784 16 1.75v9.5A1.75 1.75 0 0 1 14.25 13H8.06l-2.573 2.573A1.458 1.458 0 0 1 3 14.543V13H1.75A1.75 1.75 0 0 1 0 11.25Zm1.75-.25a.25.25 0 0 0-.25.25v9.5c0 .138.112.25.25.25h2a.75.75 0 0 1 .75.75v2.19l2.72-2.72a.749.749 0 0 1 .53-.22h6.5a.25.25 0 0 0 .25-.25v-9.5a.25.25 0 0 0-.25-.25Zm7 2.25v2.5a.75.75 0 0 1-1.5 0v-2.5a.75.75 0 0 1 1.5 0ZM9 9a1 1 0 1 1-2 0 1 1 0 0 1 2 0Z",
+	"alert": "M6.457 1.047c.659-1.234 2.427-1.234 3.086 0l6.082 11.378A1.75 1.75 0 0 1 14.082 15H1.918a1.75 1.75 0 0 1-1.543-2.575Zm1.763.707a.25.25 0 0 0-.44 0L1.698 13.132a.25.25 0 0 0 .22.368h12.164a.25.25 0 0 0 .22-.368Zm.53 3.996v2.5a.75.75 0 0 1-1.5 0v-2.5a.75.75 0 0 1 1.5 0ZM9 11a1 1 0 1 1-2 0 1 1 0 0 1 2 0Z",
+	"stop": "M4.47.22A.749.749 0 0 1 5 0h6c.199 0 .389.079.53.22l4.25 4.25c.141.14.22.331.22.53v6a.749.749 0 0 1-.22.53l-4.25 4.25A.749.749 0 0 1 11 16H5a.749.749 0 0 1-.53-.22L.22 11.53A.749.749 0 0 1 0 11V5c0-.199.079-.389.22-.53Zm.84 1.28L1.5 5.31v5.38l3.81 3.81h5.38l3.81-3.81V5.31L10.69 1.5ZM8 4a.75.75 0 0 1 .75.75v3.5a.75.75 0 0 1-1.5 0v-3.5A.75.75 0 0 1 8 4Zm0 8a1 1 0 1 1 0-2 1 1 0 0 1 0 2Z",
+};
+
+// Markdown extensions, configured per render through the marked options (see renderMarkdown):
+// - Math: $...$, $$...$$, \(...\), \[...\] and \begin{env} environments, off when `math` is false
+// - Callouts: MkDocs "!!! type" blocks and GitHub "> [!TYPE]" alerts, custom types in `callouts`
+// - Headings: GitHub-style ids, collected into `headings` for the TOC
+// - Transclusions and wiki links, read through the `include` hooks
+// A Marked instance of its own keeps them off the global `marked` other code may use.
+const marked = new Marked({
+	extensions: [
+		{
+			name: "mathBlock",
+			level: "block",
+			start(src) {
+				const match = /^ {0,3}(?:\$\$|\\\[|\\begin\{)/m.exec(src);
+				return match ? match.index : undefined;
+			},
+			tokenizer: tokenizeMathBlock,
+			renderer: (token) => renderMath(token, "div"),
+		},
+		{
+			name: "mathInline",
+			level: "inline",
+			start(src) {
+				// Escaped dollars are left to marked's escape rule
+				const match = /\\[([]|(?<!\\)\$/.exec(src);
+				return match ? match.index : undefined;
+			},
+			tokenizer: tokenizeMathInline,
+			renderer: (token) => renderMath(token, "span"),
+		},
+		{
+			name: "transclusion",
+			level: "block",
+			start(src) {
+				const match = /^ {0,3}(?:!\[\[|<!--[ \t]*include:)/m.exec(src);
+				return match ? match.index : undefined;
+			},
+			tokenizer: tokenizeTransclusion,
+			renderer: renderTransclusion,
+		},
+		{
+			name: "wikiLink",
+			level: "inline",
+			start(src) {
+				const index = src.indexOf("[[");
+				return index === -1 ? undefined : index;
+			},
+			tokenizer: tokenizeWikiLink,
+			renderer: (token) => `<a href="${escapeHtml(getWikiLinkHref(token.target))}" class="wiki-link">${escapeHtml(token.text)}</a>`,
+		},
+		{
+			name: "admonition",
+			level: "block",
+			start(src) {
+				const match = /^!!![ \t]/m.exec(src);
+				return match ? match.index : undefined;
+			},
+			tokenizer: tokenizeAdmonition,
+			renderer(token) {
+				return renderCallout(token.kind, token.title, parseCalloutBody(this.parser, token.tokens), this.parser.options.callouts);
+			},
+		},
+		{
+			name: "blockquote",
+			renderer: renderAlert,
+		},
+		{
+			name: "heading",
+			renderer: renderHeading,
+		},
+		{
+			name: "code",
+			renderer: renderCode,
+		},
+	],
+});
+
+/**
+ * Renders markdown to HTML
+ *
+ * This is the core rendering pipeline, shared by the preview and HTML export:
+ * 0. Blank out YAML/TOML front matter (keeping its lines) and read it
+ * 1. Convert markdown to HTML using marked library, block by block. Math is
+ *    tokenized by the mathBlock/mathInline extensions, so code is left alone;
+ *    mermaid fences become <pre class="mermaid">, which Mermaid v11 renders,
+ *    and other fences keep their metadata (highlighted lines, title, diff).
+ *    Transclusions (![[note]], <!-- include: part.md -->) render the included
+ *    file in place, and [[wiki links]] become ordinary links
+ * 2. Sanitize the HTML of each block (sanitizeHtml): marked keeps raw HTML
+ * 3. Process media URLs (img, picture, video, audio) through options.resolveResource
+ * 4. Tag each top-level block with its source line (data-line), and each
+ *    task list checkbox with the line of its item (data-task-line)
+ *
+ * Problems that don't stop rendering (a transclusion that can't be included,
+ * a missing image) are shown in the page and also returned as diagnostics.
+ * Diagnostics, links and diagrams are located at the line of the top-level
+ * block they were found in, which is also the line of a transclusion for
+ * anything in the included file.
+ *
+ * @param {string} raw - The markdown source
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.frontMatter] - "show" renders front matter as a metadata table, "hide" drops it,
+ *   "apply" drops it and lets its title, toc and math keys set the returned meta. Defaults to "show"
+ * @param {Object} [options.callouts] - Custom callout types (lightweightMarkdownPreview.callouts)
+ * @param {boolean} [options.toc] - false hides the TOC sidebar (meta.toc)
+ * @param {boolean} [options.math] - false leaves math as plain text (meta.math)
+ * @param {boolean} [options.mermaid] - false renders mermaid blocks as ordinary code blocks
+ * @param {boolean} [options.lineNumbers] - true numbers the lines of every code block
+ * @param {boolean} [options.trusted] - true relaxes HTML sanitizing for a trusted workspace
+ * @param {Object<string, string[]>} [options.allowedElements] - Extra HTML elements to keep, with their attributes
+ * @param {function(string, string): (string|undefined)} [options.resolveResource] - Called with an image, video
+ *   or audio URL as written and its element name; returns the URL to use, or undefined for a missing local
+ *   file (shown as a placeholder). URLs are kept as written without it
+ * @param {string} [options.documentPath] - POSIX path of the document, which transcluded paths are relative to
+ * @param {string} [options.rootPath] - POSIX path that transcluded paths starting with "/" are relative to
+ * @param {function(string): (string|undefined)} [options.readFile] - Reads an included file by path, returning
+ *   undefined if it can't be read; without it (or documentPath) transclusions are shown as errors
+ * @returns {{html: string, headings: Array, diagnostics: Array<{line: number, severity: string, message: string}>,
+ *   links: Array<{line: number, href: string, element: string}>, diagrams: Array<{line: number, source: string}>,
+ *   meta: {title: (string|undefined), toc: boolean, math: boolean}, includes: string[]}} Rendered HTML, the
+ *   headings for the TOC, problems found ("error" or "warning", zero-based line), the link hrefs and
+ *   media URLs (as written, after sanitizing) with their element name, the Mermaid diagrams, page
+ *   options set by front matter, and the paths of the files the document includes (directly or not),
+ *   found or not
+ */
+function renderMarkdown(raw, options = {}) {
+	const frontMatterMode = options.frontMatter || "show";
+	const resolveResource = options.resolveResource || ((url) => url);
+
+	// Front matter is replaced by as many empty lines, so nothing below
+	// (headings, source lines) needs to know it was there
+	const frontMatter = parseFrontMatter(raw);
+	const meta = { title: undefined, toc: options.toc !== false, math: options.math !== false };
+	if (frontMatter) {
+		raw = "\n".repeat(frontMatter.lineCount) + raw.slice(frontMatter.length);
+		if (frontMatterMode === "apply") {
+			// Front matter can turn the TOC and math off, but not back on against the settings
+			const { title, toc, math } = frontMatter.data;
+			meta.title = typeof title === "string" && title ? title : undefined;
+			meta.toc = meta.toc && toc !== false;
+			meta.math = meta.math && math !== false;
+		}
+	}
+
+	// Extensions read the custom callout types and the math and mermaid switches
+	// from the marked options, and the heading renderer adds to the headings list
+	// for the TOC. Included files are rendered with the same options, so their
+	// headings are listed (and numbered) along with the document's own.
+	const headings = [];
+	const diagnostics = [];
+	const links = [];
+	const diagrams = [];
+	const includes = [];
+	const sanitizePolicy = createSanitizePolicy(options.trusted === true, options.allowedElements);
+	const markedOptions = {
+		...marked.defaults,
+		callouts: normalizeCallouts(options.callouts),
+		math: meta.math,
+		mermaid: options.mermaid !== false,
+		lineNumbers: options.lineNumbers === true,
+		headings,
+		diagnostics,
+		diagrams,
+		slugger: createSlugger(),
+		sanitizePolicy,
+		include: options.documentPath && options.readFile
+			? {
+				path: options.documentPath,
+				root: options.rootPath,
+				read: options.readFile,
+				stack: [options.documentPath],
+				files: includes,
+			}
+			: undefined,
+	};
+
+	// Render markdown to HTML one top-level block at a time, tagging each
+	// block with the line it starts on (used for scroll sync)
+	let html = frontMatter && frontMatterMode === "show"
+		? addSourceLine(renderFrontMatterTable(frontMatter.data), 0)
+		: "";
+	let line = 0;
+	const tokens = marked.lexer(raw, markedOptions);
+	markedOptions.referenceLinks = tokens.links;
+	tokens.forEach((token) => {
+		if (token.type !== "space") {
+			const firstHeading = headings.length;
+			const firstDiagnostic = diagnostics.length;
+			const firstDiagram = diagrams.length;
+			const blockHtml = addTaskLines(marked.parser([token], markedOptions), getTaskLines([token], line));
+
+			// Resolve relative image, video and audio paths; the sanitized HTML has one canonical form
+			const resolvedHtml = rewriteResourceUrls(sanitizeHtml(blockHtml, sanitizePolicy), (url, element) => {
+				links.push({ line, href: url, element });
+				const resolved = resolveResource(url, element);
+				if (resolved === undefined) {
+					diagnostics.push({ line, severity: "warning", message: `File not found: ${url}` });
+				}
+				return resolved;
+			});
+			html += addSourceLine(resolvedHtml, line);
+			rewriteResourceUrls(resolvedHtml, (href) => {
+				links.push({ line, href, element: "a" });
+				return href;
+			}, { a: ["href"] });
+
+			// Headings and problems nested in lists, quotes or included files are located by their block
+			headings.slice(firstHeading).forEach((heading) => {
+				heading.lineIndex = line;
+				heading.html = sanitizeHtml(heading.html, sanitizePolicy);
+			});
+			[...diagnostics.slice(firstDiagnostic), ...diagrams.slice(firstDiagram)].forEach((item) => {
+				item.line = line;
+			});
+		}
+		line += countLines(token.raw);
+	});
+
+	return { html, headings, diagnostics, links, diagrams, meta, includes };
+}
+
+/**
+ * Lowercases the type names of custom callouts and drops invalid entries
+ *
+ * @param {Object} [callouts] - Value of lightweightMarkdownPreview.callouts
+ * @returns {Object} Custom types keyed by lowercase name
+ */
+function normalizeCallouts(callouts) {
+	const result = {};
+	for (const [name, definition] of Object.entries(callouts || {})) {
+		if (/^[\w-]+$/.test(name) && definition && typeof definition === "object") {
+			result[name.toLowerCase()] = definition;
+		}
+	}
+	return result;
+}
+
+/**
+ * Finds and parses YAML (---) or TOML (+++) front matter at the start of a document
+ *
+ * Only the top level is read, which is all the metadata table and the page
+ * options need: YAML "key: value" pairs with "- item" lists, and TOML
+ * "key = value" pairs with [table] headers prefixing the keys below them.
+ * Strings, booleans and inline [a, b] arrays are understood; anything else
+ * is kept as text.
+ *
+ * @param {string} raw - The markdown source
+ * @returns {{data: Object, length: number, lineCount: number} | undefined} The parsed keys,
+ *   the length of the front matter in characters and its number of line breaks;
+ *   undefined when the document has no front matter
+ */
+function parseFrontMatter(raw) {
+	const match = /^(---|\+\+\+)[ \t]*\r?\n/.exec(raw);
+	if (!match) {
+		return undefined;
+	}
+	const toml = match[1] === "+++";
+	const closing = toml ? /^\+\+\+[ \t]*$/ : /^(?:---|\.\.\.)[ \t]*$/;
+
+	const lines = raw.slice(match[0].length).split("\n");
+	const end = lines.findIndex((candidate) => closing.test(candidate.replace(/\r$/, "")));
+	if (end === -1) {
+		return undefined;
+	}
+
+	let length = match[0].length + lines.slice(0, end + 1).join("\n").length;
+	if (end + 1 < lines.length) {
+		length += 1; // The line break after the closing delimiter
+	}
+	const data = {};
+	let key = undefined;
+	let table = "";
+
+	for (const bodyLine of lines.slice(0, end).map((text) => text.replace(/\r$/, ""))) {
+		const trimmed = bodyLine.trim();
+		if (!trimmed || trimmed.startsWith("#")) {
+			continue;
+		}
+
+		if (toml) {
+			const section = /^\[+\s*([^\]]+?)\s*\]+$/.exec(trimmed);
+			const pair = /^([\w.-]+|"[^"]*")\s*=\s*(.*)$/.exec(trimmed);
+			if (section) {
+				table = `${section[1]}.`;
+			} else if (pair) {
+				data[table + pair[1].replace(/^"|"$/g, "")] = parseFrontMatterValue(pair[2]);
+			}
+			continue;
+		}
+
+		const pair = /^([^\s#:][^:]*?)\s*:(?:\s+(.*))?$/.exec(bodyLine);
+		const item = /^\s*-\s+(.*)$/.exec(bodyLine);
+		if (pair) {
+			key = pair[1].replace(/^["']|["']$/g, "");
+			const value = (pair[2] || "").trim();
+			// Block scalars (| and >) are continued on the indented lines below
+			data[key] = /^[|>][+-]?$/.test(value) ? "" : parseFrontMatterValue(value);
+		} else if (key !== undefined && item && (Array.isArray(data[key]) || data[key] === "")) {
+			data[key] = [...(Array.isArray(data[key]) ? data[key] : []), parseFrontMatterValue(item[1])];
+		} else if (key !== undefined && /^\s/.test(bodyLine)) {
+			// Nested mappings and multi-line text are shown as plain text
+			data[key] = [String(data[key]), trimmed].filter(Boolean).join(" ");
+		}
+	}
+
+	return { data, length, lineCount: countLines(raw.slice(0, length)) };
+}
+
+/**
+ * Parses a single front matter value
+ *
+ * @param {string} value - The value as written, e.g. `"A title"`, `false` or `[a, b]`
+ * @returns {string | boolean | Array} The value
+ */
+function parseFrontMatterValue(value) {
+	value = value.trim();
+	const quoted = /^(["'])(.*)\1$/.exec(value);
+	if (quoted) {
+		return quoted[2];
+	}
+	value = value.replace(/\s+#.*$/, "");
+	if (value === "true" || value === "false") {
+		return value === "true";
+	}
+	const list = /^\[(.*)\]$/.exec(value);
+	if (list) {
+		return list[1].trim() ? list[1].split(",").map(parseFrontMatterValue) : [];
+	}
+	return value;
+}
+
+/**
+ * Renders front matter keys as a collapsed table
+ *
+ * @param {Object} data - Keys and values from parseFrontMatter
+ * @returns {string} A <details> element holding the metadata table
+ */
+function renderFrontMatterTable(data) {
+	const rows = Object.entries(data).map(([key, value]) => {
+		const text = Array.isArray(value) ? value.join(", ") : String(value);
+		return `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(text)}</td></tr>`;
+	});
+	return `<details class="front-matter"><summary>Front matter</summary><table><tbody>${rows.join("")}</tbody></table></details>`;
+}
+
+/**
+ * Tokenizes display math that starts a block
+ *
+ * Handles $$...$$ (also on a single line), \[...\] and \begin{env}...\end{env}
+ * when the closing delimiter ends a line. Fenced and indented code never get
+ * here, marked tokenizes them first.
+ *
+ * Called by marked with the lexer as `this`.
+ *
+ * @param {string} src - Remaining markdown source
+ * @returns {Object | undefined} A "mathBlock" token, or undefined if src doesn't start with block math
+ */
+function tokenizeMathBlock(src) {
+	if (this.lexer.options.math === false) {
+		return undefined;
+	}
+
+	const delimited = /^ {0,3}(\$\$|\\\[)([\s\S]+?)(\$\$|\\\])[ \t]*(?:\n|$)/.exec(src);
+	if (delimited && delimited[3] === (delimited[1] === "$$" ? "$$" : "\\]")) {
+		return { type: "mathBlock", raw: delimited[0], display: true, tex: delimited[2].trim() };
+	}
+
+	const environment = /^ {0,3}(\\begin\{([a-zA-Z]+\*?)\}[\s\S]+?\\end\{\2\})[ \t]*(?:\n|$)/.exec(src);
+	if (environment) {
+		return { type: "mathBlock", raw: environment[0], display: true, environment: true, tex: environment[1] };
+	}
+	return undefined;
+}
+
+/**
+ * Tokenizes inline math
+ *
+ * $...$ follows Pandoc's rules so prices don't turn into math: the opening $
+ * must not be followed by a space, the closing $ must not follow a space or
+ * be followed by a digit. \$ is an escaped dollar; code spans are tokenized
+ * by marked before their content is ever seen here.
+ *
+ * With math turned off, \(...\) and \[...\] become plain text as written,
+ * where marked would otherwise drop their backslashes as escapes.
+ *
+ * Called by marked with the lexer as `this`.
+ *
+ * @param {string} src - Remaining inline source
+ * @returns {Object | undefined} A "mathInline" token (a "text" token with math turned off), or undefined
+ *   if src doesn't start with math
+ */
+function tokenizeMathInline(src) {
+	const mathOff = this.lexer.options.math === false;
+	const patterns = [
+		{ regex: /^\$\$((?:\\.|[^\\$])+?)\$\$/, display: true, dollars: true },
+		{ regex: /^\$(?![\s$])((?:\\.|[^\\$\n]|\n(?![ \t]*\n))+?)(?<![\s\\])\$(?!\d)/, display: false, dollars: true },
+		{ regex: /^\\\(([\s\S]+?)\\\)/, display: false },
+		{ regex: /^\\\[([\s\S]+?)\\\]/, display: true },
+	];
+	for (const { regex, display } of patterns.filter((pattern) => !(mathOff && pattern.dollars))) {
+		const match = regex.exec(src);
+		if (match) {
+			return mathOff
+				? { type: "text", raw: match[0], text: match[0] }
+				: { type: "mathInline", raw: match[0], display, tex: match[1].trim() };
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Renders a math token for MathJax
+ *
+ * The TeX is escaped and wrapped in \(...\) or \[...\], the only delimiters
+ * MathJax is configured to look for (see getMathJaxConfig), so a stray "$"
+ * in the rendered text is never mistaken for math.
+ *
+ * @param {Object} token - A mathBlock or mathInline token
+ * @param {string} tagName - "div" for blocks, "span" inside text
+ * @returns {string} The math element
+ */
+function renderMath(token, tagName) {
+	const tex = escapeHtml(token.tex);
+	const math = token.environment ? tex : token.display ? `\\[${tex}\\]` : `\\(${tex}\\)`;
+	const html = `<${tagName} class="math ${token.display ? "math-display" : "math-inline"}">${math}</${tagName}>`;
+	return tagName === "div" ? `${html}\n` : html;
+}
+
+/**
+ * Renders a fenced or indented code block
+ *
+ * The whole info string is read, not only the language:
+ * ```js {3,5-7} title="server.js"``` highlights lines 3 and 5 to 7 and shows
+ * a title above the block. Highlighted lines, diff fences (`diff`, or
+ * `diff-js` to keep JavaScript colors) and line numbers put every line in a
+ * .code-line span, which the preview keeps when it adds syntax colors. The
+ * .code-block wrapper also holds the copy button the page adds.
+ *
+ * @param {Object} token - marked code token
+ * @returns {string} The code block HTML
+ */
+function renderCode(token) {
+	const { mermaid, diagrams, lineNumbers } = this.parser.options;
+	const info = parseCodeInfo(token.lang);
+	if (info.language === "mermaid" && mermaid !== false) {
+		return renderMermaid(token, diagrams);
+	}
+
+	const diff = info.language === "diff" || info.language.startsWith("diff-");
+	const language = info.language.startsWith("diff-") ? info.language.slice(5) : info.language;
+	const text = token.text.replace(/\n$/, "");
+	let code = escapeHtml(text);
+	if (diff || lineNumbers || info.highlight.size > 0) {
+		code = text.split("\n").map((lineText, index) => {
+			let className = "code-line";
+			if (info.highlight.has(index + 1)) {
+				className += " highlighted";
+			}
+			if (diff && lineText.startsWith("+")) {
+				className += " inserted";
+			} else if (diff && lineText.startsWith("-")) {
+				className += " deleted";
+			}
+			return `<span class="${className}">${escapeHtml(lineText)}</span>`;
+		}).join("\n");
+	}
+
+	const title = info.title ? `<div class="code-title">${escapeHtml(info.title)}</div>\n` : "";
+	const preClass = lineNumbers ? " class=\"line-numbers\"" : "";
+	const codeClass = language ? ` class="language-${escapeHtml(language)}"` : "";
+	return `<div class="code-block">\n${title}<pre${preClass}><code${codeClass}>${code}\n</code></pre>\n</div>\n`;
+}
+
+/**
+ * Reads a code fence's info string: the language, then optional metadata
+ *
+ * `{3,5-7}` lists the lines to highlight (the braces may follow the language
+ * directly, as in `js{3}`), and `title="server.js"` (quotes optional without
+ * spaces) names the block.
+ *
+ * @param {string} [infoString] - Everything after the opening fence
+ * @returns {{ language: string, title: string | undefined, highlight: Set<number> }} The parsed info
+ */
+function parseCodeInfo(infoString = "") {
+	const [, language, rest] = /^([^\s{]*)(.*)$/s.exec(infoString.trim());
+	const title = /(?:^|\s)title=(?:"([^"]*)"|'([^']*)'|(\S+))/.exec(rest);
+	const highlight = new Set();
+	const ranges = /\{([\d\s,-]*)\}/.exec(rest);
+	if (ranges) {
+		ranges[1].split(",").forEach((range) => {
+			const [first, last = first] = range.split("-").map((number) => parseInt(number, 10));
+			// Capped so a typo like {1-99999999} can't stall the render
+			for (let line = first; line <= Math.min(last, first + 10000); line++) {
+				highlight.add(line);
+			}
+		});
+	}
+	return {
+		language,
+		title: title ? title[1] ?? title[2] ?? title[3] : undefined,
+		highlight,
+	};
+}
+
+/**
+ * Renders a mermaid code block as <pre class="mermaid">, which Mermaid v11 renders
+ *
+ * The diagram source is HTML-escaped so the sanitizer leaves it alone;
+ * Mermaid decodes it again.
+ *
+ * @param {Object} token - marked code token
+ * @param {Object[]} [diagrams] - Collects the diagram sources for renderMarkdown
+ * @returns {string} The diagram HTML
+ */
+function renderMermaid(token, diagrams) {
+	if (diagrams) {
+		// renderMarkdown sets the line once the top-level block is rendered
+		diagrams.push({ line: 0, source: token.text });
+	}
+	return `<pre class="mermaid">${escapeHtml(token.text.trim())}</pre>\n`;
+}
+
+/**
+ * Tokenizes a MkDocs-style admonition
+ *
+ *     !!! warning "Optional title"
+ *         Content indented by four spaces (or a tab), may contain blank lines.
+ *
+ * Called by marked with the lexer as `this`.
+ *
+ * @param {string} src - Remaining markdown source
+ * @returns {Object | undefined} An "admonition" token, or undefined if src doesn't start with one
+ */
+function tokenizeAdmonition(src) {
+	const match = /^!!![ \t]+([\w-]+)(?:[ \t]+"([^"]*)")?[ \t]*(?:\n|$)((?:(?:[ \t]*\n)*(?: {4}|\t).*(?:\n|$))*)/.exec(src);
+	if (!match) {
+		return undefined;
+	}
+
+	const token = {
+		type: "admonition",
+		raw: match[0],
+		kind: match[1].toLowerCase(),
+		title: match[2],
+		tokens: [],
+	};
+	this.lexer.blockTokens(match[3].replace(/^(?: {4}|\t)/gm, ""), token.tokens);
+	return token;
+}
+
+/**
+ * Renders a GitHub alert: a blockquote whose first line is only "[!TYPE]"
+ *
+ * Only the five GitHub types and custom types are recognized; any other
+ * blockquote is left to marked (returning false).
+ *
+ * @param {Object} token - marked blockquote token
+ * @returns {string | false} The callout HTML, or false for a plain blockquote
+ */
+function renderAlert(token) {
+	const match = /^\[!([\w-]+)\][ \t]*(?:\n|$)/.exec(token.text);
+	const callouts = this.parser.options.callouts || {};
+	const kind = match ? match[1].toLowerCase() : undefined;
+	if (!kind || (!CALLOUT_TYPES[kind] && !callouts[kind])) {
+		return false;
+	}
+
+	// The body is lexed again without the marker, knowing the document's [ref]: definitions
+	const lexer = new Lexer(this.parser.options);
+	Object.assign(lexer.tokens.links, this.parser.options.referenceLinks);
+	const body = token.text.slice(match[0].length);
+	return renderCallout(kind, undefined, parseCalloutBody(this.parser, lexer.lex(body)), callouts);
+}
+
+/**
+ * Renders the content of a callout
+ *
+ * Callouts stay out of the TOC: headings inside them get their ids (so links
+ * to them work) but aren't added to the headings list.
+ *
+ * @param {Object} parser - The marked parser rendering the document
+ * @param {Array} tokens - Tokens of the callout's content
+ * @returns {string} The content HTML
+ */
+function parseCalloutBody(parser, tokens) {
+	const { headings } = parser.options;
+	const listed = headings ? headings.length : 0;
+	const html = parser.parse(tokens);
+	if (headings) {
+		headings.splice(listed);
+	}
+	return html;
+}
+
+/**
+ * Builds the markup of a callout, matching GitHub's alert markup
+ *
+ * @param {string} kind - Lowercase callout type, e.g. "note" or a custom type
+ * @param {string | undefined} title - Title to show; undefined uses the type's title, "" shows none
+ * @param {string} bodyHtml - Rendered content
+ * @param {Object} [callouts] - Custom types from lightweightMarkdownPreview.callouts
+ * @returns {string} The callout HTML
+ */
+function renderCallout(kind, title, bodyHtml, callouts = {}) {
+	const custom = callouts[kind];
+	const builtIn = CALLOUT_TYPES[kind] || CALLOUT_TYPES[CALLOUT_ALIASES[kind]];
+	const style = custom || CALLOUT_TYPES[kind] ? kind : CALLOUT_ALIASES[kind] || "note";
+	const defaultTitle = (custom && custom.title)
+		|| (CALLOUT_TYPES[kind] && CALLOUT_TYPES[kind].title)
+		|| kind.charAt(0).toUpperCase() + kind.slice(1);
+	const icon = (custom && custom.icon) || (builtIn ? builtIn.icon : "info");
+
+	const iconHtml = CALLOUT_ICONS[icon]
+		? `<svg class="octicon" viewBox="0 0 16 16" width="16" height="16" aria-hidden="true"><path d="${CALLOUT_ICONS[icon]}"></path></svg>`
+		: `<span class="markdown-alert-icon" aria-hidden="true">${escapeHtml(icon)}</span>`;
+	// Only plain color values are accepted; workspace settings aren't trusted more than markdown
+	const color = custom && typeof custom.color === "string" && /^[#\w(),.%\s-]+$/.test(custom.color)
+		? ` style="--md-alert: ${custom.color}"`
+		: "";
+	const heading = title === undefined ? defaultTitle : title;
+	const titleHtml = heading ? `<p class="markdown-alert-title">${iconHtml}${escapeHtml(heading)}</p>` : "";
+
+	return `<div class="markdown-alert markdown-alert-${escapeHtml(style)}"${color}>${titleHtml}${bodyHtml}</div>\n`;
+}
+
+/**
+ * Renders a heading with a GitHub-style id and records it for the TOC
+ *
+ * The id is the slug of the heading's rendered text, so markup, trailing #s
+ * and setext underlines don't change it. Falls back to marked's renderer
+ * when no headings list is passed in the options.
+ *
+ * @param {Object} token - marked heading token
+ * @returns {string | false} The heading HTML, or false to use the default renderer
+ */
+function renderHeading(token) {
+	const { headings, slugger } = this.parser.options;
+	if (!headings || !slugger) {
+		return false;
+	}
+
+	const html = this.parser.parseInline(token.tokens);
+	const text = decodeHtmlAttribute(html.replace(/<[^>]*>/g, ""));
+	const id = slugger(text);
+	// Links inside the heading would nest inside the TOC link
+	headings.push({ level: token.depth, text, html: html.replace(/<\/?a\b[^>]*>/g, ""), id, lineIndex: 0 });
+	return `<h${token.depth} id="${escapeHtml(id)}">${html}</h${token.depth}>\n`;
+}
+
+/**
+ * Creates a slug function for heading ids, following GitHub (github-slugger)
+ *
+ * Text is lowercased, punctuation and symbols are dropped and each space
+ * becomes a hyphen. Repeated slugs get -1, -2, ... suffixes, in document order.
+ *
+ * @returns {function(string): string} Returns a unique slug for each call
+ */
+function createSlugger() {
+	const occurrences = new Map();
+	return (text) => {
+		const base = text.toLowerCase().replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, "").replace(/ /g, "-");
+		let slug = base;
+		while (occurrences.has(slug)) {
+			occurrences.set(base, occurrences.get(base) + 1);
+			slug = `${base}-${occurrences.get(base)}`;
+		}
+		occurrences.set(slug, 0);
+		return slug;
+	};
+}
+
+/**
+ * Tokenizes a transclusion: a line holding only an Obsidian-style embed or an include comment
+ *
+ *     ![[other-note]]
+ *     ![[file.md#Section]]
+ *     <!-- include: ./part.md -->
+ *
+ * Called by marked with the lexer as `this`.
+ *
+ * @param {string} src - Remaining markdown source
+ * @returns {Object | undefined} A "transclusion" token, or undefined if src doesn't start with one
+ */
+function tokenizeTransclusion(src) {
+	const match = /^ {0,3}(?:!\[\[([^[\]|\n]+)(?:\|[^[\]\n]*)?\]\]|<!--[ \t]*include:[ \t]*(\S[^\n]*?)[ \t]*-->)[ \t]*(?:\n|$)/.exec(src);
+	if (!match) {
+		return undefined;
+	}
+	return { type: "transclusion", raw: match[0], target: (match[1] || match[2]).trim(), embed: match[1] !== undefined };
+}
+
+/**
+ * Renders a transclusion with the content of the included file
+ *
+ * Paths are resolved like links and images (see resolveIncludePath), relative
+ * to the file containing the transclusion; embeds without an extension mean
+ * a .md file, and embedded images are shown as images. A #fragment includes
+ * only the section under the heading it names. The included file is rendered
+ * with the same options, so its headings get ids and TOC entries, and its
+ * relative links and images are rewritten to work from the including file.
+ * Missing files, cycles and nesting deeper than MAX_INCLUDE_DEPTH are shown
+ * as errors in the page and added to the diagnostics.
+ *
+ * @param {Object} token - A "transclusion" token
+ * @returns {string} The included HTML, or an error message
+ */
+function renderTransclusion(token) {
+	const options = this.parser.options;
+	const { include } = options;
+	const [target, ...fragmentParts] = token.target.split("#");
+	const fragment = fragmentParts.join("#");
+	const filePath = token.embed ? addMarkdownExtension(target) : target;
+
+	if (token.embed && filePath && !isMarkdownPath(filePath)) {
+		return `<p><img src="${escapeHtml(encodeURI(filePath))}" alt="${escapeHtml(token.target)}"></p>\n`;
+	}
+	const fail = (reason) => renderTransclusionError(token.target, reason, options.diagnostics);
+	if (!include) {
+		return fail("includes are not available here");
+	}
+	if (!isMarkdownPath(filePath)) {
+		return fail("only markdown files can be included");
+	}
+
+	const includedPath = resolveLocalPath(filePath, include.path, include.root);
+	if (!includedPath) {
+		return fail("not a local file");
+	}
+	if (include.stack.includes(includedPath)) {
+		return fail("circular include");
+	}
+	if (include.stack.length > MAX_INCLUDE_DEPTH) {
+		return fail(`includes are nested more than ${MAX_INCLUDE_DEPTH} deep`);
+	}
+
+	include.files.push(includedPath);
+	const text = include.read(includedPath);
+	if (text === undefined) {
+		return fail("file not found");
+	}
+
+	const frontMatter = parseFrontMatter(text);
+	const includeOptions = { ...options, include: { ...include, path: includedPath, stack: [...include.stack, includedPath] } };
+	let tokens = marked.lexer(frontMatter ? text.slice(frontMatter.length) : text, includeOptions);
+	includeOptions.referenceLinks = tokens.links;
+	if (fragment) {
+		tokens = getSectionTokens(tokens, fragment);
+		if (!tokens) {
+			return fail(`no heading "${fragment}"`);
+		}
+	}
+
+	// Sanitized first, so the URLs are in the form rewriteResourceUrls reads
+	const html = rebaseRelativeUrls(sanitizeHtml(marked.parser(tokens, includeOptions), options.sanitizePolicy), includedPath, include.path);
+	return `<div class="transclusion">\n${html}</div>\n`;
+}
+
+/**
+ * @param {string} target - The transclusion target as written
+ * @param {string} reason - Why it wasn't included
+ * @param {Array} [diagnostics] - Diagnostics of the render, which the error is added to
+ * @returns {string} HTML of the error shown in place of the included content
+ */
+function renderTransclusionError(target, reason, diagnostics) {
+	if (diagnostics) {
+		// renderMarkdown sets the line once the top-level block is rendered
+		diagnostics.push({ line: 0, severity: "error", message: `Cannot include "${target}": ${reason}` });
+	}
+	return `<p class="transclusion-error">Cannot include <code>${escapeHtml(target)}</code>: ${escapeHtml(reason)}</p>\n`;
+}
+
+/**
+ * Resolves a path from markdown (a transclusion, link or image) to a file path
+ *
+ * Relative paths are resolved against the folder of the file they are
+ * written in, paths starting with "/" against the root path (the workspace
+ * folder in the extension). URLs with a scheme aren't local files.
+ *
+ * @param {string} filePath - The path as written, decoded (see getLocalPath)
+ * @param {string} fromPath - POSIX path of the markdown file
+ * @param {string} [rootPath] - POSIX path that "/" paths are relative to
+ * @returns {string | undefined} The file's path, or undefined if it isn't a local file
+ */
+function resolveLocalPath(filePath, fromPath, rootPath) {
+	if (/^[a-z][a-z0-9+.-]*:/i.test(filePath)) {
+		return undefined;
+	}
+	if (filePath.startsWith("/")) {
+		return rootPath ? path.posix.join(rootPath, filePath) : undefined;
+	}
+	return path.posix.join(path.posix.dirname(fromPath), filePath);
+}
+
+/**
+ * Picks the tokens of the section under a heading: the heading and everything
+ * up to the next heading of the same or a higher level
+ *
+ * @param {Array} tokens - Top-level tokens of the included file
+ * @param {string} fragment - Heading text or id
+ * @returns {Array | undefined} The section's tokens, or undefined if no heading matches
+ */
+function getSectionTokens(tokens, fragment) {
+	const slug = (text) => createSlugger()(text);
+	const wanted = slug(decodeUriComponentSafe(fragment));
+	const start = tokens.findIndex((token) => token.type === "heading" && slug(token.text) === wanted);
+	if (start === -1) {
+		return undefined;
+	}
+
+	const end = tokens.findIndex((token, index) => index > start && token.type === "heading" && token.depth <= tokens[start].depth);
+	const section = tokens.slice(start, end === -1 ? undefined : end);
+	// Reference-style link definitions may be anywhere in the file
+	section.links = tokens.links;
+	return section;
+}
+
+/**
+ * Rewrites the relative link and media URLs of an included file's HTML so
+ * they point to the same files from the including file
+ *
+ * Covers links and every media attribute (MEDIA_ATTRIBUTES), wherever they
+ * are in the tag, as rewriteResourceUrls reads them.
+ *
+ * @param {string} html - Sanitized HTML rendered from the included file
+ * @param {string} fromPath - POSIX path of the included file
+ * @param {string} toPath - POSIX path of the file including it
+ * @returns {string} The HTML with relative URLs rebased
+ */
+function rebaseRelativeUrls(html, fromPath, toPath) {
+	const fromDir = path.posix.dirname(fromPath);
+	const toDir = path.posix.dirname(toPath);
+	if (fromDir === toDir) {
+		return html;
+	}
+	return rewriteResourceUrls(html, (url) => {
+		if (!url || /^[#/]/.test(url) || /^[a-z][a-z0-9+.-]*:/i.test(url)) {
+			return url;
+		}
+		return path.posix.relative(toDir, path.posix.join(fromDir, url));
+	}, { ...MEDIA_ATTRIBUTES, a: ["href"] });
+}
+
+/**
+ * Tokenizes a wiki-style link: [[Note]], [[Note#Heading]] or [[Note|shown text]]
+ *
+ * @param {string} src - Remaining inline source
+ * @returns {Object | undefined} A "wikiLink" token, or undefined if src doesn't start with one
+ */
+function tokenizeWikiLink(src) {
+	const match = /^\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\](?!\()/.exec(src);
+	if (!match) {
+		return undefined;
+	}
+	// Without an alias, [[Note#Heading]] reads "Note > Heading" as in Obsidian
+	const text = match[2] || match[1].replace(/^\s*#/, "").replace(/#/g, " > ");
+	return { type: "wikiLink", raw: match[0], target: match[1].trim(), text: text.trim() };
+}
+
+/**
+ * Turns a wiki link target into a relative href, so it is followed like any
+ * other link (see resolveLink in extension.js)
+ *
+ * @param {string} target - e.g. "Setup Guide#Install" or "#Install"
+ * @returns {string} e.g. "Setup%20Guide.md#install"
+ */
+function getWikiLinkHref(target) {
+	const [notePath, ...fragmentParts] = target.split("#");
+	const fragment = fragmentParts.join("#");
+	const href = notePath ? encodeURI(addMarkdownExtension(notePath.trim())) : "";
+	return fragment ? `${href}#${createSlugger()(fragment.trim())}` : href;
+}
+
+/**
+ * @param {string} notePath - Path of a note as written in a wiki link or embed
+ * @returns {string} The path, with ".md" added if it has no extension
+ */
+function addMarkdownExtension(notePath) {
+	return notePath && !path.posix.extname(notePath) ? `${notePath}.md` : notePath;
+}
+
+/**
+ * Counts the line breaks in a piece of markdown source
+ *
+ * @param {string} text - Source text
+ * @returns {number} Number of "\n" characters in the text
+ */
+function countLines(text) {
+	let count = 0;
+	for (let i = 0; i < text.length; i++) {
+		if (text[i] === "\n") {
+			count++;
+		}
+	}
+	return count;
+}
+
+/**
+ * Tags a rendered top-level block with the source line it starts on
+ *
+ * The attribute is added to the block's first element. Blocks that don't
+ * start with an opening tag (closing tags of raw HTML, bare math) are left
+ * alone - wrapping them would break the surrounding HTML structure, and the
+ * webview interpolates between neighbouring tagged blocks anyway.
+ *
+ * @param {string} blockHtml - HTML of a single top-level markdown block
+ * @param {number} line - Zero-based source line of the block
+ * @returns {string} The block HTML with a data-line attribute
+ */
+function addSourceLine(blockHtml, line) {
+	return blockHtml.replace(/^(\s*<[a-zA-Z][\w-]*)/, `$1 data-line="${line}"`);
+}
+
+/**
+ * Finds the source lines of task list items, in the order marked renders their checkboxes
+ *
+ * Line numbers are worked out from the token raws: list items, blockquote
+ * content and admonition bodies keep one source line per line, even where
+ * marked strips indentation or ">" markers from them.
+ *
+ * @param {Array} tokens - marked block tokens
+ * @param {number} line - Zero-based source line of the first token
+ * @returns {number[]} Source line of each task item, depth first
+ */
+function getTaskLines(tokens, line) {
+	const lines = [];
+	for (const token of tokens) {
+		if (token.type === "list") {
+			let itemLine = line;
+			for (const item of token.items) {
+				if (item.task) {
+					lines.push(itemLine);
+				}
+				lines.push(...getTaskLines(item.tokens, itemLine));
+				itemLine += countLines(item.raw);
+			}
+		} else if (token.type === "blockquote") {
+			lines.push(...getTaskLines(token.tokens, line));
+		} else if (token.type === "admonition") {
+			lines.push(...getTaskLines(token.tokens, line + 1));
+		}
+		line += countLines(token.raw);
+	}
+	return lines;
+}
+
+/**
+ * Tags the task list checkboxes marked rendered with their source lines
+ *
+ * The checkboxes stay disabled; the preview script enables the ones it can
+ * toggle, while exported pages keep them read-only.
+ *
+ * @param {string} blockHtml - HTML of one top-level block
+ * @param {number[]} taskLines - Source lines from getTaskLines, in the same order
+ * @returns {string} The HTML with data-task-line on each task checkbox
+ */
+function addTaskLines(blockHtml, taskLines) {
+	let index = 0;
+	return blockHtml.replace(/<input (checked="" )?disabled="" type="checkbox">/g, (match, checked) => {
+		if (index >= taskLines.length) {
+			return match;
+		}
+		return `<input ${checked || ""}disabled="" type="checkbox" class="task-list-item-checkbox" data-task-line="${taskLines[index++]}">`;
+	});
+}
+
+/**
+ * Generates nested TOC HTML from headings array
+ *
+ * @param {Array} headings - Array of heading objects with level, html, id
+ * @returns {string} HTML for the nested TOC list
+ */
+function generateTOC(headings) {
+	if (headings.length === 0) return "<p style=\"font-size: 0.9em; color: #888;\">No headings found</p>";
+
+	let tocHtml = "<ul class=\"toc-list\">";
+	let currentLevel = 0;
+
+	headings.forEach((heading) => {
+		// Close deeper levels
+		while (currentLevel >= heading.level) {
+			tocHtml += "</ul>";
+			currentLevel--;
+		}
+
+		// Open new levels
+		while (currentLevel < heading.level - 1) {
+			tocHtml += "<ul class=\"toc-list\">";
+			currentLevel++;
+		}
+
+		if (currentLevel < heading.level) {
+			tocHtml += "<ul class=\"toc-list\">";
+			currentLevel++;
+		}
+
+		tocHtml += `<li class="toc-item toc-level-${heading.level}"><a href="#${escapeHtml(heading.id)}" class="toc-link">${heading.html}</a></li>`;
+	});
+
+	// Close all open levels
+	while (currentLevel > 0) {
+		tocHtml += "</ul>";
+		currentLevel--;
+	}
+
+	return tocHtml;
+}
+
+/**
+ * Builds the sanitizeHtml policy for a render
+ *
+ * @param {boolean} trusted - Whether the workspace is trusted (relaxes the rules)
+ * @param {Object<string, string[]>} [allowedElements] - Extra elements and their attributes
+ *   (lightweightMarkdownPreview.html.allowedElements); forbidden elements and event handlers are ignored
+ * @returns {{trusted: boolean, elements: Map<string, Set<string>>}} The policy
+ */
+function createSanitizePolicy(trusted, allowedElements = {}) {
+	const elements = new Map();
+	const allow = (table) => Object.keys(table).forEach((name) => {
+		const attributes = elements.get(name) || new Set();
+		table[name].forEach((attribute) => attributes.add(attribute));
+		elements.set(name, attributes);
+	});
+
+	allow(SANITIZE_ELEMENTS);
+	if (trusted) {
+		allow(SANITIZE_TRUSTED_ELEMENTS);
+	}
+	Object.keys(allowedElements || {}).forEach((key) => {
+		const name = key.toLowerCase();
+		const attributes = Array.isArray(allowedElements[key]) ? allowedElements[key] : [];
+		if (/^[a-z][\w-]*$/.test(name) && !SANITIZE_FORBIDDEN_ELEMENTS.includes(name)) {
+			allow({
+				[name]: attributes
+					.filter((attribute) => typeof attribute === "string")
+					.map((attribute) => attribute.toLowerCase())
+					.filter((attribute) => !attribute.startsWith("on")),
+			});
+		}
+	});
+	return { trusted, elements };
+}
+
+/**
+ * Sanitizes rendered HTML against an allowlist
+ *
+ * marked passes raw HTML from the markdown through unchanged, so every
+ * rendered block goes through here. The output is rebuilt from what was
+ * parsed rather than filtered in place: only allowed elements and attributes
+ * are written back, attribute values are re-escaped, URLs must be relative or
+ * use a safe scheme, and every other "<" becomes "&lt;". Elements that aren't
+ * allowed are dropped but keep their content, except raw text elements such
+ * as <script>, whose content is dropped too. Comments are removed.
+ *
+ * Tags are not balanced: a block may open an element that a later block
+ * closes (e.g. <details> around markdown), which the browser handles.
+ *
+ * @param {string} html - Rendered HTML
+ * @param {{trusted: boolean, elements: Map<string, Set<string>>}} policy - From createSanitizePolicy
+ * @returns {string} The sanitized HTML
+ */
+function sanitizeHtml(html, policy) {
+	const tagPattern = /<!--[\s\S]*?(?:--!?>|$)|<[!?][^>]*>?|<(\/?)([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+	const escapeText = (text) => text.replace(/</g, "&lt;");
+	let output = "";
+	let index = 0;
+	let match;
+
+	while ((match = tagPattern.exec(html)) !== null) {
+		output += escapeText(html.slice(index, match.index));
+		index = tagPattern.lastIndex;
+
+		const [, closing, tagName, attributes] = match;
+		if (!tagName) {
+			// Comment, doctype or processing instruction
+			continue;
+		}
+		const name = tagName.toLowerCase();
+		const allowedAttributes = SANITIZE_FORBIDDEN_ELEMENTS.includes(name) ? undefined : policy.elements.get(name);
+
+		if (!closing && RAW_TEXT_ELEMENTS.includes(name)) {
+			// Skip to the closing tag; kept raw text elements keep their content as is
+			const end = html.toLowerCase().indexOf(`</${name}`, index);
+			const contentEnd = end === -1 ? html.length : end;
+			const closeEnd = end === -1 ? html.length : html.indexOf(">", end) + 1 || html.length;
+			if (allowedAttributes) {
+				output += `<${name}${sanitizeAttributes(name, attributes, allowedAttributes, policy)}>${html.slice(index, contentEnd)}</${name}>`;
+			}
+			index = closeEnd;
+			tagPattern.lastIndex = closeEnd;
+			continue;
+		}
+
+		if (!allowedAttributes) {
+			continue;
+		}
+		if (closing) {
+			output += `</${name}>`;
+			continue;
+		}
+		const kept = sanitizeAttributes(name, attributes, allowedAttributes, policy);
+		if (kept !== undefined) {
+			output += `<${name}${kept}>`;
+		}
+	}
+
+	return output + escapeText(html.slice(index));
+}
+
+/**
+ * Keeps the allowed attributes of a tag, re-escaped
+ *
+ * @param {string} name - Lowercase element name
+ * @param {string} source - Attribute text of the tag as written
+ * @param {Set<string>} allowedAttributes - Attributes allowed on this element
+ * @param {{trusted: boolean}} policy - From createSanitizePolicy
+ * @returns {string | undefined} The attributes, each with a leading space, or
+ *   undefined if the element must be dropped (an input that isn't a checkbox)
+ */
+function sanitizeAttributes(name, source, allowedAttributes, policy) {
+	const attributePattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+	let result = "";
+	let checkbox = false;
+
+	for (const [, attributeName, doubleQuoted, singleQuoted, unquoted] of source.matchAll(attributePattern)) {
+		const attribute = attributeName.toLowerCase();
+		const written = [doubleQuoted, singleQuoted, unquoted].find((value) => value !== undefined);
+		const value = decodeHtmlAttribute(written === undefined ? "" : written);
+
+		let allowed;
+		if (attribute.startsWith("on")) {
+			allowed = false;
+		} else if (attribute === "style") {
+			// Callouts color themselves through --md-alert; anything else needs a trusted workspace
+			allowed = policy.trusted || /^--md-alert:\s*[#\w(),.%\s-]+$/.test(value);
+		} else if (attribute === "srcset") {
+			allowed = allowedAttributes.has(attribute) &&
+				value.split(",").every((candidate) => isSafeUrl(candidate.trim().split(/\s+/)[0], true));
+		} else if (URL_ATTRIBUTES.includes(attribute)) {
+			allowed = allowedAttributes.has(attribute) && isSafeUrl(value, attribute === "src");
+		} else {
+			allowed = allowedAttributes.has(attribute) ||
+				SANITIZE_GLOBAL_ATTRIBUTES.includes(attribute) ||
+				(policy.trusted && /^data-[\w-]+$/.test(attribute));
+		}
+
+		if (allowed) {
+			result += ` ${attribute}="${escapeHtml(value)}"`;
+			checkbox = checkbox || (attribute === "type" && value.toLowerCase() === "checkbox");
+		}
+	}
+
+	return name === "input" && !checkbox ? undefined : result;
+}
+
+/**
+ * Checks that a URL from rendered HTML is safe to keep
+ *
+ * Relative URLs and fragments are fine. Absolute URLs must use http, https
+ * or mailto; image sources may also be data:image URLs. Whitespace and
+ * control characters are ignored when finding the scheme, as browsers do.
+ *
+ * @param {string} url - Decoded attribute value
+ * @param {boolean} image - Whether the URL is an image source
+ * @returns {boolean} Whether the URL can be kept
+ */
+function isSafeUrl(url, image) {
+	const compact = Array.from(url).filter((char) => char > " " && (char < "\u007f" || char > "\u009f")).join("");
+	const scheme = /^([a-z][a-z\d+.-]*):/i.exec(compact);
+	if (!scheme) {
+		return true;
+	}
+	return SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase()) || (image && /^data:image\//i.test(compact));
+}
+
+/**
+ * Rewrites the local file URLs of images, video and audio in sanitized HTML
+ *
+ * Runs on the output of sanitizeHtml, where every tag is lowercase and every
+ * attribute is written as name="escaped value", so attributes can be found
+ * in any order. Each URL (and each srcset candidate) goes through `rewrite`.
+ * An img, video or audio whose src is a missing file (rewrite returns
+ * undefined) is shown as a placeholder naming the file; an img is replaced
+ * by it, video and audio keep their element after it.
+ *
+ * @param {string} html - Sanitized HTML
+ * @param {function(string, string): (string|undefined)} rewrite - Called with the URL as written and the
+ *   element name; returns the URL to use, or undefined for a missing file
+ * @param {Object<string, string[]>} [attributes] - URL attributes to rewrite, by element
+ * @returns {string} The HTML with URLs rewritten
+ */
+function rewriteResourceUrls(html, rewrite, attributes = MEDIA_ATTRIBUTES) {
+	const elements = Object.keys(attributes).join("|");
+	return html.replace(new RegExp(`<(${elements})((?: [\\w-]+="[^"]*")*)>`, "g"), (tag, name, source) => {
+		let missing = undefined;
+		const rewritten = source.replace(/ ([\w-]+)="([^"]*)"/g, (attribute, attributeName, value) => {
+			if (!attributes[name].includes(attributeName)) {
+				return attribute;
+			}
+			const url = decodeHtmlAttribute(value);
+			if (attributeName === "srcset") {
+				const candidates = url.split(",").map((candidate) => {
+					const [candidateUrl, ...descriptors] = candidate.trim().split(/\s+/);
+					return [rewrite(candidateUrl, name) || candidateUrl, ...descriptors].join(" ");
+				});
+				return ` srcset="${escapeHtml(candidates.join(", "))}"`;
+			}
+
+			const resolved = rewrite(url, name);
+			if (resolved === undefined) {
+				missing = attributeName === "src" ? url : missing;
+				return attribute;
+			}
+			return ` ${attributeName}="${escapeHtml(resolved)}"`;
+		});
+
+		if (missing === undefined || !["img", "video", "audio"].includes(name)) {
+			return `<${name}${rewritten}>`;
+		}
+		const placeholder = `<span class="missing-resource" role="img" aria-label="Missing file ${escapeHtml(missing)}">` +
+			`Not found: <code>${escapeHtml(missing)}</code></span>`;
+		return name === "img" ? placeholder : `${placeholder}<${name}${rewritten}>`;
+	});
+}
+
+/**
+ * Escapes text for use in HTML content or attribute values
+ *
+ * @param {string} text - Untrusted text
+ * @returns {string} The text with &, <, >, " and ' replaced by entities
+ */
+function escapeHtml(text) {
+	return String(text)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+}
+
+/**
+ * Reverses the entity escaping marked applies to attribute values
+ *
+ * Numeric character references (&#106; or &#x6A;) are decoded as well, so
+ * that raw HTML can't hide a URL scheme from sanitizeHtml behind them.
+ *
+ * @param {string} value - Attribute value from rendered HTML
+ * @returns {string} The value as it was written in the markdown
+ */
+function decodeHtmlAttribute(value) {
+	const fromCodePoint = (codePoint) => (codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : "\ufffd");
+	return value
+		.replace(/&#x([\da-f]+);?/gi, (match, hex) => fromCodePoint(parseInt(hex, 16)))
+		.replace(/&#(\d+);?/g, (match, decimal) => fromCodePoint(parseInt(decimal, 10)))
+		.replace(/&quot;/g, "\"")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&amp;/g, "&");
+}
+
+/**
+ * @param {string} value - Percent-encoded text
+ * @returns {string} The decoded text, or the input if it isn't valid encoding
+ */
+function decodeUriComponentSafe(value) {
+	try {
+		return decodeURIComponent(value);
+	} catch {
+		return value;
+	}
+}
+
+/**
+ * @param {string} url - A URL from rendered HTML, e.g. "my%20image.png?v=2"
+ * @returns {string} The file path it names, without query or fragment, e.g. "my image.png"
+ */
+function getLocalPath(url) {
+	return decodeUriComponentSafe(url.split(/[?#]/)[0]);
+}
+
+/**
+ * @param {string} filePath - File path or URI path
+ * @returns {boolean} Whether the path has a markdown file extension
+ */
+function isMarkdownPath(filePath) {
+	return /\.(?:md|markdown)$/i.test(filePath);
+}
+
+module.exports = {
+	renderMarkdown,
+	generateTOC,
+	rewriteResourceUrls,
+	escapeHtml,
+	decodeUriComponentSafe,
+	getLocalPath,
+	resolveLocalPath,
+	isMarkdownPath,
+	createSlugger,
+	MEDIA_ATTRIBUTES,
+};
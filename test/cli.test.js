@@ -0,0 +1,45 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { main } = require("../src/cli");
+
+describe("lmp render --check", () => {
+	let folder;
+
+	before(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), "lmp-"));
+	});
+
+	after(() => {
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	/**
+	 * Checks a markdown file written to a temporary folder
+	 *
+	 * @param {Object} t - The test context, for mocking console.log
+	 * @param {string} text - The markdown source
+	 * @returns {Promise<{status: number, output: string[]}>} The exit status and the lines printed
+	 */
+	async function check(t, text) {
+		const file = path.join(folder, "doc.md");
+		fs.writeFileSync(file, text);
+		const log = t.mock.method(console, "log", () => {});
+		const status = await main(["render", file, "--check", "--root", folder]);
+		return { status, output: log.mock.calls.map((call) => call.arguments.join(" ")) };
+	}
+
+	it("accepts a flowchart with node labels", async (t) => {
+		const { status, output } = await check(t, "```mermaid\ngraph TD\n  A[Start] --> B[End]\n```\n");
+		assert.equal(status, 0);
+		assert.deepEqual(output, ["Checked 1 file(s), no problems found"]);
+	});
+
+	it("reports a diagram that doesn't parse with the parser's message", async (t) => {
+		const { status, output } = await check(t, "# Title\n\n```mermaid\ngraph TD\n  A[Start --> B\n```\n");
+		assert.equal(status, 1);
+		assert.match(output[0], /doc\.md:3: error: Diagram syntax error: Parse error on line 3: Expecting .*, got/);
+	});
+});
@@ -0,0 +1,119 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { renderMarkdown } = require("../src/renderer");
+const { checkLinks, createIdLookup } = require("../src/links");
+
+// A workspace at /ws, by path; folders are implied by the files in them
+const FILES = {
+	"/ws/doc.md": "",
+	"/ws/test.md": "",
+	"/ws/guide.md": "## Setup\n\n<a name=\"legacy\"></a>\n",
+	"/ws/img/logo.png": "",
+};
+
+/**
+ * Checks the links of markdown rendered as /ws/doc.md in the FILES workspace
+ *
+ * @param {string} text - The markdown source
+ * @param {Object} [options] - More checkLinks options
+ * @returns {Array} The problems found
+ */
+function check(text, options = {}) {
+	const paths = Object.keys(FILES);
+	return checkLinks(renderMarkdown(text), "/ws/doc.md", {
+		rootPath: "/ws",
+		exists: (filePath) => paths.some((file) => file === filePath || file.startsWith(`${filePath}/`)),
+		getIds: createIdLookup((filePath) => (filePath in FILES ? renderMarkdown(FILES[filePath]) : undefined)),
+		listFolder: (folder) => paths
+			.filter((file) => file.startsWith(`${folder}/`))
+			.map((file) => file.slice(folder.length + 1).split("/")[0]),
+		text,
+		...options,
+	});
+}
+
+describe("checkLinks", () => {
+	it("accepts existing files, headings, HTML anchors and external URLs", () => {
+		const text = "# Intro\n\n[a](test.md) [b](#intro) [c](guide.md#setup) [d](/guide.md#legacy) [e](https://example.com/x.md) ![f](img/logo.png)\n";
+		assert.deepEqual(check(text), []);
+	});
+
+	it("reports missing files with the closest file names, located as written", () => {
+		assert.deepEqual(check("Read [this](tset.md) first\n"), [{
+			line: 0,
+			href: "tset.md",
+			element: "a",
+			message: "Broken link: tset.md (file not found)",
+			suggestions: ["test.md"],
+			range: { line: 0, start: 12, end: 19 },
+			replacements: ["test.md"],
+		}]);
+	});
+
+	it("reports missing headings in the same and other files with the closest ids", () => {
+		const problems = check("# Intro\n\n[a](#intor)\n\n[b](guide.md#setpu)\n");
+		assert.deepEqual(problems.map(({ message, range, replacements }) => ({ message, range, replacements })), [
+			{ message: "Broken link: #intor (no heading \"intor\")", range: { line: 2, start: 4, end: 10 }, replacements: ["#intro"] },
+			{ message: "Broken link: guide.md#setpu (no heading \"setpu\")", range: { line: 4, start: 12, end: 18 }, replacements: ["#setup"] },
+		]);
+	});
+
+	it("keeps the folder of a misspelled image path", () => {
+		const [problem] = check("![logo](img/lgo.png)\n");
+		assert.equal(problem.message, "Broken image: img/lgo.png (file not found)");
+		assert.deepEqual(problem.replacements, ["img/logo.png"]);
+	});
+
+	it("leaves media to the renderer when media is false", () => {
+		assert.deepEqual(check("![logo](img/lgo.png)\n", { media: false }), []);
+	});
+
+	it("suggests nothing when no name is close", () => {
+		const [problem] = check("[x](nowhere/test.md)\n");
+		assert.deepEqual(problem.suggestions, []);
+	});
+
+	it("gives one problem per occurrence of a repeated link", () => {
+		const problems = check("[a](tset.md) and [b](tset.md)\n");
+		assert.deepEqual(problems.map(({ range }) => range.start), [4, 21]);
+	});
+
+	it("keeps the block's line without the document's text", () => {
+		const [problem] = check("Text\n\n[a](tset.md)\n", { text: undefined });
+		assert.equal(problem.line, 2);
+		assert.equal(problem.range, undefined);
+		assert.deepEqual(problem.replacements, []);
+	});
+});
+
+describe("createIdLookup", () => {
+	it("renders each file once", () => {
+		const rendered = [];
+		const getIds = createIdLookup((filePath) => {
+			rendered.push(filePath);
+			return renderMarkdown(FILES[filePath]);
+		});
+		assert.deepEqual(Array.from(getIds("/ws/guide.md")), ["setup", "legacy"]);
+		getIds("/ws/guide.md");
+		assert.deepEqual(rendered, ["/ws/guide.md"]);
+	});
+
+	it("keeps the ids in the given cache until the file's entry is deleted", () => {
+		const cache = new Map();
+		let rendered = 0;
+		const render = (filePath) => {
+			rendered++;
+			return renderMarkdown(FILES[filePath]);
+		};
+		createIdLookup(render, cache)("/ws/guide.md");
+		createIdLookup(render, cache)("/ws/guide.md");
+		assert.equal(rendered, 1);
+		cache.delete("/ws/guide.md");
+		createIdLookup(render, cache)("/ws/guide.md");
+		assert.equal(rendered, 2);
+	});
+
+	it("returns undefined for files that can't be read", () => {
+		assert.equal(createIdLookup(() => undefined)("/ws/none.md"), undefined);
+	});
+});
@@ -0,0 +1,199 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { renderMarkdown } = require("../src/renderer");
+const {
+	buildStaticPage,
+	getWebviewContent,
+	getAppearanceVariables,
+	getRenderSettings,
+	getPreviewSettings,
+	rewriteMarkdownLinks,
+	exportResources,
+	placeInFolder,
+	placeInFilesFolder,
+	getExportAssetFileName,
+} = require("../src/page");
+
+/**
+ * @param {string} raw - The markdown source
+ * @returns {Object} Page content for buildStaticPage
+ */
+function getContent(raw) {
+	return { title: "Doc <1>", ...renderMarkdown(raw) };
+}
+
+describe("buildStaticPage", () => {
+	it("inlines only the assets the content needs", async () => {
+		const loaded = [];
+		const page = await buildStaticPage(getContent("```js\nx\n```\n"), {
+			loadAsset: async (name) => {
+				loaded.push(name);
+				return `/* ${name} </script> */`;
+			},
+		});
+		assert.deepEqual(loaded, ["highlightCssLight", "highlightCssDark", "highlightJs", "preview"]);
+		assert.match(page, /<title>Doc &lt;1&gt;<\/title>/);
+		assert.match(page, /<style id="highlightCssLight">/);
+		assert.match(page, /<script>\/\* preview <\\\/script> \*\/<\/script>/);
+	});
+
+	it("links the assets from assetBase", async () => {
+		const page = await buildStaticPage(getContent("$x$ and\n\n```mermaid\ngraph TD\n```\n"), { assetBase: "../_assets" });
+		assert.match(page, new RegExp(`<script src="\\.\\./_assets/${getExportAssetFileName("mathJaxSvg")}"></script>`));
+		assert.match(page, new RegExp(`<script src="\\.\\./_assets/${getExportAssetFileName("mermaid")}"></script>`));
+		assert.match(page, /window\.MathJax = /);
+		assert.doesNotMatch(page, /highlightCss/);
+	});
+
+	it("uses a MathJax build with the TeX packages built in", () => {
+		// Exported pages have no extensions folder for MathJax to autoload \color, \cancel, ... from
+		const bundle = fs.readFileSync(path.join(__dirname, "..", "node_modules", "mathjax", "es5", getExportAssetFileName("mathJaxSvg")), "utf8");
+		["Color", "Cancel", "Boldsymbol", "Mathtools", "Mhchem", "Physics"].forEach((name) => {
+			assert.ok(bundle.includes(`${name}Configuration`), `${name} package missing`);
+		});
+	});
+
+	it("limits MathJax to the .math elements", async () => {
+		const page = await buildStaticPage(getContent("$x$ and \\\\(y\\\\)"), { assetBase: "." });
+		const config = JSON.parse(page.match(/window\.MathJax = (.*);\n/)[1]);
+		assert.deepEqual(config.options, { ignoreHtmlClass: "mathjax_ignore|content|toc-body", processHtmlClass: "math" });
+		assert.match(page, /<main class="content"><p data-line="0"><span class="math math-inline">\\\(x\\\)<\/span> and \\\(y\\\)<\/p>/);
+	});
+
+	it("signals the preview script when MathJax has typeset the page", async () => {
+		const page = await buildStaticPage(getContent("$x$"), { assetBase: "." });
+		const events = [];
+		const window = { dispatchEvent: (event) => events.push(event.type) };
+		vm.runInNewContext(page.match(/<script>(window\.MathJax = [\s\S]*?)<\/script>/)[1], { window, Event: class { constructor(type) { this.type = type; } } });
+		const { pageReady } = window.MathJax.startup;
+		// Loading MathJax replaces the configuration by MathJax itself
+		window.MathJax = { startup: { defaultPageReady: async () => events.push("typeset") } };
+		await pageReady();
+		assert.deepEqual(events, ["typeset", "mathjax-ready"]);
+	});
+
+	it("defaults to the automatic theme and strict Mermaid, and hides the TOC from front matter", async () => {
+		const content = getContent("---\ntoc: false\n---\n# Title\n");
+		const page = await buildStaticPage({ ...content, meta: { ...content.meta, toc: false } }, { assetBase: "." });
+		assert.match(page, /data-settings="\{&quot;static&quot;:true,&quot;theme&quot;:&quot;auto&quot;,&quot;mermaidSecurityLevel&quot;:&quot;strict&quot;\}"/);
+		assert.match(page, /<body class="toc-hidden">/);
+	});
+
+	it("inlines custom styles without letting them close the style element", async () => {
+		const page = await buildStaticPage(getContent("Text"), { assetBase: ".", styles: ["p { color: red } </style><script>"] });
+		assert.match(page, /<style>p \{ color: red \} <\\\/style><script><\/style>/);
+	});
+});
+
+describe("getWebviewContent", () => {
+	it("allows only scripts with the nonce and leaves out disabled libraries", () => {
+		const page = getWebviewContent("abc123", {
+			urls: { mermaid: "vscode-resource:/mermaid.min.js" },
+			cspSources: "vscode-resource:",
+			scriptSources: "",
+		}, "vscode-resource:/preview.js", { theme: "dark" }, {}, []);
+		assert.match(page, /script-src 'nonce-abc123'/);
+		assert.match(page, /<html lang="en" data-theme="dark">/);
+		assert.match(page, /<script src="vscode-resource:\/mermaid\.min\.js" nonce="abc123"><\/script>/);
+		assert.doesNotMatch(page, /MathJax/);
+	});
+});
+
+describe("getAppearanceVariables", () => {
+	it("uses the defaults for missing and unsafe values", () => {
+		const values = { contentWidth: " 60em ", fontFamily: "x; background: url(evil)", codeFontFamily: undefined };
+		const variables = getAppearanceVariables((key) => values[key]);
+		assert.equal(variables["--md-content-width"], "60em");
+		assert.match(variables["--md-font-family"], /^-apple-system/);
+		assert.equal(variables["--md-code-font-family"], "'Courier New', Courier, monospace");
+	});
+});
+
+describe("rewriteMarkdownLinks", () => {
+	it("points relative markdown links at the exported pages", () => {
+		assert.equal(
+			rewriteMarkdownLinks("<a href=\"guide.md#install\">a</a> <a href=\"notes/b.markdown\">b</a> <a href=\"https://x.org/c.md\">c</a>"),
+			"<a href=\"guide.html#install\">a</a> <a href=\"notes/b.html\">b</a> <a href=\"https://x.org/c.md\">c</a>"
+		);
+	});
+});
+
+describe("getRenderSettings", () => {
+	it("maps the settings to renderMarkdown options with the extension's defaults", () => {
+		const values = { "toc.enabled": false, "html.allowedElements": { mark: [] } };
+		assert.deepEqual(getRenderSettings((key, defaultValue) => (key in values ? values[key] : defaultValue), false), {
+			frontMatter: "show",
+			callouts: {},
+			toc: false,
+			math: true,
+			mermaid: true,
+			lineNumbers: false,
+			trusted: false,
+			allowedElements: { mark: [] },
+		});
+	});
+});
+
+describe("getPreviewSettings", () => {
+	it("runs Mermaid as strict unless the workspace is trusted", () => {
+		const getSetting = (key) => (key === "mermaid.securityLevel" ? "antiscript" : "dark");
+		assert.deepEqual(getPreviewSettings(getSetting, true), { theme: "dark", mermaidSecurityLevel: "antiscript" });
+		assert.deepEqual(getPreviewSettings(getSetting, false), { theme: "dark", mermaidSecurityLevel: "strict" });
+	});
+});
+
+describe("exportResources", () => {
+	// A workspace at /ws, by path
+	const FILES = {
+		"/ws/docs/img/a.png": "a",
+		"/ws/docs/f.pdf": "f",
+		"/ws/b.png": "b",
+	};
+
+	/**
+	 * Exports /ws/docs/x.md from the FILES workspace
+	 *
+	 * @param {string} html - Rendered markdown
+	 * @param {function(string): ({target: string, href: string} | undefined)} placeResource - Where files go
+	 * @returns {Promise<{html: string, written: Object<string, string>}>} The rewritten HTML and the files copied
+	 */
+	async function exportHtml(html, placeResource) {
+		const written = {};
+		const result = await exportResources(html, "/ws/docs/x.md", {
+			rootPath: "/ws",
+			readFile: async (filePath) => (filePath in FILES ? Buffer.from(FILES[filePath]) : undefined),
+			writeFile: async (target, bytes) => {
+				written[target] = Buffer.from(bytes).toString();
+			},
+			placeResource,
+		});
+		return { html: result, written };
+	}
+
+	it("inlines images it doesn't place, but not links to them", async () => {
+		const { html, written } = await exportHtml("<img src=\"/b.png\"><a href=\"../b.png\">b</a>", () => undefined);
+		assert.equal(html, "<img src=\"data:image/png;base64,Yg==\"><a href=\"../b.png\">b</a>");
+		assert.deepEqual(written, {});
+	});
+
+	it("copies the files inside the exported folder to the same relative path", async () => {
+		const placeResource = placeInFolder("/ws/docs", "/out", "/out/sub");
+		const { html, written } = await exportHtml("<img src=\"img/a.png\"><a href=\"f.pdf\">f</a><img src=\"../b.png\">", placeResource);
+		assert.equal(html, "<img src=\"../img/a.png\"><a href=\"../f.pdf\">f</a><img src=\"data:image/png;base64,Yg==\">");
+		assert.deepEqual(written, { "/out/img/a.png": "a", "/out/f.pdf": "f" });
+	});
+
+	it("copies files beside a single page without name clashes", async () => {
+		const placeResource = placeInFilesFolder("/out/page.html");
+		assert.deepEqual(placeResource("/ws/docs/img/a.png"), { target: "/out/page_files/a.png", href: "page_files/a.png" });
+		assert.deepEqual(placeResource("/ws/a.png"), { target: "/out/page_files/a-1.png", href: "page_files/a-1.png" });
+	});
+
+	it("leaves markdown links and anchors alone, and shows missing media as placeholders", async () => {
+		const { html } = await exportHtml("<a href=\"guide.md\">g</a><a href=\"#top\">t</a><video src=\"none.mp4\"></video>", () => undefined);
+		assert.match(html, /^<a href="guide\.md">g<\/a><a href="#top">t<\/a><span class="missing-resource"[^>]*>Not found: <code>none\.mp4<\/code><\/span><video src="none\.mp4">/);
+	});
+});
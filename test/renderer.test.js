@@ -0,0 +1,297 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { renderMarkdown } = require("../src/renderer");
+
+/**
+ * Renders markdown as the document /ws/doc.md, with the given files readable
+ *
+ * @param {string} raw - The markdown source
+ * @param {Object<string, string>} [files] - Contents of other files, by path
+ * @param {Object} [options] - More renderMarkdown options
+ * @returns {Object} The renderMarkdown result
+ */
+function render(raw, files = {}, options = {}) {
+	return renderMarkdown(raw, {
+		documentPath: "/ws/doc.md",
+		rootPath: "/ws",
+		readFile: (filePath) => files[filePath],
+		resolveResource: (url) => (url.startsWith("missing") ? undefined : `res:${url}`),
+		...options,
+	});
+}
+
+/**
+ * Decodes the character references a browser would decode in an attribute value
+ *
+ * @param {string} value - Attribute value from rendered HTML
+ * @returns {string} The value the browser sees
+ */
+function decodeEntities(value) {
+	return value
+		.replace(/&#x([\da-f]+);?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+		.replace(/&#(\d+);?/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+		.replace(/&(?:colon|Tab|NewLine);/g, (match) => ({ "&colon;": ":", "&Tab;": "\t", "&NewLine;": "\n" })[match])
+		.replace(/&quot;/g, "\"")
+		.replace(/&lt;/g, "<")
+		.replace(/&gt;/g, ">")
+		.replace(/&amp;/g, "&");
+}
+
+describe("renderMarkdown", () => {
+	describe("html", () => {
+		it("tags each top-level block with its source line", () => {
+			const { html } = render("# Title\n\nFirst paragraph\n\n- one\n- two\n");
+			assert.match(html, /<h1 data-line="0" id="title">Title<\/h1>/);
+			assert.match(html, /<p data-line="2">First paragraph<\/p>/);
+			assert.match(html, /<ul data-line="4">/);
+		});
+
+		it("tags task list checkboxes with the line of their item", () => {
+			const { html } = render("Intro\n\n- [ ] one\n- [x] two\n");
+			assert.match(html, /<input disabled="" type="checkbox" class="task-list-item-checkbox" data-task-line="2">/);
+			assert.match(html, /<input checked="" disabled="" type="checkbox" class="task-list-item-checkbox" data-task-line="3">/);
+		});
+
+		it("passes media URLs through resolveResource", () => {
+			const { html } = render("![pic](img/a.png)");
+			assert.match(html, /<img src="res:img\/a\.png" alt="pic">/);
+		});
+
+		it("shows a placeholder for missing media", () => {
+			const { html } = render("![gone](missing.png)");
+			assert.match(html, /<span class="missing-resource" role="img" aria-label="Missing file missing\.png">/);
+			assert.doesNotMatch(html, /<img/);
+		});
+
+		it("renders mermaid fences as diagrams, or as code when turned off", () => {
+			const source = "```mermaid\ngraph TD\n  A-->B\n```\n";
+			assert.match(render(source).html, /<pre data-line="0" class="mermaid">graph TD\n {2}A--&gt;B<\/pre>/);
+			assert.match(render(source, {}, { mermaid: false }).html, /<code class="language-mermaid">/);
+		});
+
+		it("keeps code block metadata", () => {
+			const { html } = render("```js {2} title=\"a.js\"\na\nb\n```\n", {}, { lineNumbers: true });
+			assert.match(html, /<div class="code-title">a\.js<\/div>/);
+			assert.match(html, /<pre class="line-numbers"><code class="language-js">/);
+			assert.match(html, /<span class="code-line">a<\/span>\n<span class="code-line highlighted">b<\/span>/);
+		});
+
+		it("renders callouts", () => {
+			assert.match(render("> [!TIP]\n> Try this").html, /class="markdown-alert markdown-alert-tip"/);
+			assert.match(render("!!! warning \"Careful\"\n    Hot surface").html, /class="markdown-alert markdown-alert-warning"/);
+		});
+
+		it("resolves reference links inside GitHub alerts", () => {
+			const { html } = render("> [!TIP]\n> See [the docs][docs].\n\n[docs]: https://example.com/docs\n");
+			assert.match(html, /<p>See <a href="https:\/\/example\.com\/docs">the docs<\/a>\.<\/p>/);
+		});
+
+		it("renders included files in place", () => {
+			const { html, includes } = render("![[part]]\n", { "/ws/part.md": "Included *text*" });
+			assert.match(html, /<div data-line="0" class="transclusion">\n<p>Included <em>text<\/em><\/p>\n<\/div>/);
+			assert.deepEqual(includes, ["/ws/part.md"]);
+		});
+
+		it("rebases the relative URLs of files included from another folder", () => {
+			const { html } = render("![[sub/part]]\n", {
+				"/ws/sub/part.md": "<img alt=\"x\" src=\"pic.png\">\n\n[next](next.md) [top](#top) ![logo](../logo.png)\n",
+			});
+			assert.match(html, /<img alt="x" src="res:sub\/pic\.png">/);
+			assert.match(html, /<a href="sub\/next\.md">next<\/a> <a href="#top">top<\/a> <img src="res:logo\.png" alt="logo">/);
+		});
+
+		it("renders wiki links as links to markdown files", () => {
+			const { html } = render("See [[Other Note|the note]]");
+			assert.match(html, /<a href="Other%20Note\.md" class="wiki-link">the note<\/a>/);
+		});
+	});
+
+	// Edge cases from the "Math" section of examples/test.md
+	describe("math", () => {
+		it("renders $...$ and \\(...\\) as inline math", () => {
+			assert.equal(render("$x^2$ and \\(a+b\\)").html,
+				"<p data-line=\"0\"><span class=\"math math-inline\">\\(x^2\\)</span> and <span class=\"math math-inline\">\\(a+b\\)</span></p>\n");
+		});
+
+		it("renders $$...$$ as display math, on one line or several", () => {
+			assert.equal(render("$$x$$").html, "<div data-line=\"0\" class=\"math math-display\">\\[x\\]</div>\n");
+			assert.equal(render("$$\nx\n$$").html, "<div data-line=\"0\" class=\"math math-display\">\\[x\\]</div>\n");
+		});
+
+		it("renders \\[...\\] and environments as display math", () => {
+			assert.equal(render("\\[a+b\\]").html, "<div data-line=\"0\" class=\"math math-display\">\\[a+b\\]</div>\n");
+			assert.equal(render("\\begin{equation}\nE=mc^2\n\\end{equation}").html,
+				"<div data-line=\"0\" class=\"math math-display\">\\begin{equation}\nE=mc^2\n\\end{equation}</div>\n");
+		});
+
+		it("leaves dollars in inline code alone", () => {
+			assert.equal(render("`echo $HOME $PATH`").html, "<p data-line=\"0\"><code>echo $HOME $PATH</code></p>\n");
+		});
+
+		it("leaves dollars in fenced and indented code alone", () => {
+			assert.doesNotMatch(render("~~~\n$x$ and $$y$$\n~~~").html, /class="math/);
+			assert.match(render("~~~\n$x$ and $$y$$\n~~~").html, /<pre><code>\$x\$ and \$\$y\$\$\n<\/code><\/pre>/);
+			assert.match(render("    $x$ indented").html, /<pre><code>\$x\$ indented\n<\/code><\/pre>/);
+		});
+
+		it("keeps escaped dollars and prices as text", () => {
+			assert.equal(render("Costs \\$5 today").html, "<p data-line=\"0\">Costs $5 today</p>\n");
+			assert.equal(render("Between $5 and $10").html, "<p data-line=\"0\">Between $5 and $10</p>\n");
+		});
+
+		it("keeps dollars around spaces as text", () => {
+			assert.equal(render("a $ x $ b").html, "<p data-line=\"0\">a $ x $ b</p>\n");
+		});
+
+		it("renders $$...$$ inside a sentence as display math", () => {
+			assert.equal(render("Inline $$\\sum i$$ inside").html,
+				"<p data-line=\"0\">Inline <span class=\"math math-display\">\\[\\sum i\\]</span> inside</p>\n");
+		});
+
+		it("keeps escaped dollars inside math for MathJax", () => {
+			assert.equal(render("$\\text{cost} = \\$10$").html,
+				"<p data-line=\"0\"><span class=\"math math-inline\">\\(\\text{cost} = \\$10\\)</span></p>\n");
+		});
+
+		it("keeps escaped TeX delimiters as text", () => {
+			assert.equal(render("a \\\\(not math\\\\)").html, "<p data-line=\"0\">a \\(not math\\)</p>\n");
+		});
+
+		it("leaves math as written when turned off", () => {
+			assert.equal(render("$x$ and \\(y\\)", {}, { math: false }).html, "<p data-line=\"0\">$x$ and \\(y\\)</p>\n");
+			assert.equal(render("\\[a < b\\]\n", {}, { math: false }).html, "<p data-line=\"0\">\\[a &lt; b\\]</p>\n");
+		});
+	});
+
+	describe("sanitizing", () => {
+		const xss = fs.readFileSync(path.join(__dirname, "..", "examples", "xss.md"), "utf8");
+
+		[false, true].forEach((trusted) => {
+			describe(`examples/xss.md in ${trusted ? "a trusted" : "an untrusted"} workspace`, () => {
+				const { html } = renderMarkdown(xss, { trusted });
+				// Text is escaped, so every "<" left in the HTML starts a tag
+				const tags = html.match(/<[^>]*>/g);
+
+				it("keeps no script, frame, form or page-level elements", () => {
+					assert.doesNotMatch(html, /<\/?(?:script|iframe|frame|object|embed|applet|form|meta|base|link|style)\b/i);
+				});
+
+				it("keeps no event handler attributes", () => {
+					tags.forEach((tag) => {
+						assert.doesNotMatch(tag.replace(/"[^"]*"/g, "\"\""), /[\s/]on[a-z]+\s*=/i);
+					});
+				});
+
+				it("keeps no script or HTML URLs", () => {
+					tags.forEach((tag) => {
+						for (const [, value] of tag.matchAll(/="([^"]*)"/g)) {
+							assert.doesNotMatch(decodeEntities(value).replace(/[^\x21-\x7e]/g, ""), /javascript:|vbscript:|data:text/i);
+						}
+					});
+				});
+
+				it("keeps the allowed HTML", () => {
+					assert.match(html, /<kbd>Ctrl<\/kbd>/);
+					assert.match(html, /<abbr title="HyperText Markup Language">HTML<\/abbr>/);
+					assert.match(html, /<details data-line="\d+" open="">/);
+					assert.match(html, /<img data-line="\d+" src="data:image\/svg\+xml;base64,/);
+				});
+			});
+		});
+
+		it("keeps style attributes only in trusted workspaces", () => {
+			const source = "<div style=\"color: red\">Text</div>";
+			assert.equal(renderMarkdown(source).html, "<div data-line=\"0\">Text</div>");
+			assert.equal(renderMarkdown(source, { trusted: true }).html, "<div data-line=\"0\" style=\"color: red\">Text</div>");
+		});
+
+		it("keeps extra allowed elements, but never forbidden ones", () => {
+			const source = "<dialog open onclose=\"x()\">Hi</dialog><iframe src=\"https://example.com\"></iframe>";
+			const { html } = renderMarkdown(source, { allowedElements: { dialog: ["open", "onclose"], iframe: ["src"] } });
+			assert.equal(html, "<dialog data-line=\"0\" open=\"\">Hi</dialog>");
+		});
+	});
+
+	describe("headings", () => {
+		it("lists headings with unique GitHub-style ids and their lines", () => {
+			const { headings } = render("# Hello *World*\n\n## Hello World\n");
+			assert.deepEqual(headings, [
+				{ level: 1, text: "Hello World", html: "Hello <em>World</em>", id: "hello-world", lineIndex: 0 },
+				{ level: 2, text: "Hello World", html: "Hello World", id: "hello-world-1", lineIndex: 2 },
+			]);
+		});
+
+		it("leaves headings inside callouts out, keeping their ids", () => {
+			const { html, headings } = render("# Intro\n\n> [!NOTE]\n> ## Intro\n\n!!! tip\n    ### Hint\n\n## Intro\n");
+			assert.deepEqual(headings.map(({ id }) => id), ["intro", "intro-2"]);
+			assert.match(html, /<h2 id="intro-1">Intro<\/h2>/);
+			assert.match(html, /<h3 id="hint">Hint<\/h3>/);
+		});
+
+		it("lists the headings of included files at the line of the transclusion", () => {
+			const { headings } = render("Intro\n\n![[part.md]]\n", { "/ws/part.md": "## Part" });
+			assert.deepEqual(headings.map(({ id, lineIndex }) => ({ id, lineIndex })), [{ id: "part", lineIndex: 2 }]);
+		});
+	});
+
+	describe("diagnostics", () => {
+		it("reports missing media as warnings", () => {
+			const { diagnostics } = render("Text\n\n![gone](missing.png)\n");
+			assert.deepEqual(diagnostics, [{ line: 2, severity: "warning", message: "File not found: missing.png" }]);
+		});
+
+		it("reports includes that can't be read or are circular as errors", () => {
+			const { diagnostics } = render("![[nope]]\n\n![[doc.md]]\n", { "/ws/doc.md": "![[doc.md]]" });
+			assert.deepEqual(diagnostics, [
+				{ line: 0, severity: "error", message: "Cannot include \"nope\": file not found" },
+				{ line: 2, severity: "error", message: "Cannot include \"doc.md\": circular include" },
+			]);
+		});
+
+		it("reports nothing for a clean document", () => {
+			assert.deepEqual(render("# Title\n\n![pic](a.png)\n").diagnostics, []);
+		});
+	});
+
+	describe("links", () => {
+		it("lists link hrefs and media URLs as written, with their element and line", () => {
+			const { links } = render("[guide](guide.md#intro)\n\n![pic](img/a.png) <video src=\"clip.mp4\"></video>\n", {}, { trusted: true });
+			assert.deepEqual(links, [
+				{ line: 0, href: "guide.md#intro", element: "a" },
+				{ line: 2, href: "img/a.png", element: "img" },
+				{ line: 2, href: "clip.mp4", element: "video" },
+			]);
+		});
+
+		it("locates links in included files at the transclusion", () => {
+			const { links } = render("![[part.md]]\n", { "/ws/part.md": "[home](/index.md)" });
+			assert.deepEqual(links, [{ line: 0, href: "/index.md", element: "a" }]);
+		});
+	});
+
+	describe("meta", () => {
+		it("defaults to the options", () => {
+			assert.deepEqual(render("Text").meta, { title: undefined, toc: true, math: true });
+			assert.deepEqual(render("Text", {}, { toc: false, math: false }).meta, { title: undefined, toc: false, math: false });
+		});
+
+		it("is set by front matter in apply mode", () => {
+			const { html, meta } = render("---\ntitle: Notes\ntoc: false\nmath: false\n---\nText\n", {}, { frontMatter: "apply" });
+			assert.deepEqual(meta, { title: "Notes", toc: false, math: false });
+			assert.equal(html, "<p data-line=\"5\">Text</p>\n");
+		});
+
+		it("can't turn the TOC or math back on against the options", () => {
+			const { meta } = render("+++\ntoc = true\n+++\nText\n", {}, { frontMatter: "apply", toc: false });
+			assert.equal(meta.toc, false);
+		});
+
+		it("ignores front matter in show mode, which renders it as a table", () => {
+			const { html, meta } = render("---\ntitle: Notes\n---\nText\n");
+			assert.equal(meta.title, undefined);
+			assert.match(html, /<details data-line="0" class="front-matter"><summary>Front matter<\/summary><table><tbody><tr><th>title<\/th><td>Notes<\/td><\/tr>/);
+		});
+	});
+});
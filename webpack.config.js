@@ -2,8 +2,42 @@
 
 "use strict";
 
+const fs = require("fs");
 const path = require("path");
 
+/**
+ * Preview libraries shipped inside the extension so the webview never has to
+ * reach a CDN. Paths are relative to node_modules (from) and dist (to).
+ */
+const vendorAssets = [
+	{ from: "mermaid/dist/mermaid.min.js", to: "vendor/mermaid/mermaid.min.js" },
+	{ from: "mathjax/es5/tex-mml-chtml.js", to: "vendor/mathjax/tex-mml-chtml.js" },
+	// SVG output needs no font files and the full build autoloads no TeX packages, so HTML exports can inline it
+	{ from: "mathjax/es5/tex-svg-full.js", to: "vendor/mathjax/tex-svg-full.js" },
+	// MathJax resolves its fonts relative to the script location
+	{ from: "mathjax/es5/output/chtml/fonts/woff-v2", to: "vendor/mathjax/output/chtml/fonts/woff-v2" },
+	// TeX packages MathJax autoloads on first use (\color, \cancel, ...)
+	{ from: "mathjax/es5/input/tex/extensions", to: "vendor/mathjax/input/tex/extensions" },
+	{ from: "@highlightjs/cdn-assets/highlight.min.js", to: "vendor/highlight/highlight.min.js" },
+	{ from: "@highlightjs/cdn-assets/styles/atom-one-light.min.css", to: "vendor/highlight/styles/atom-one-light.min.css" },
+	{ from: "@highlightjs/cdn-assets/styles/atom-one-dark.min.css", to: "vendor/highlight/styles/atom-one-dark.min.css" },
+];
+
+/**
+ * Copies vendorAssets into the output folder after each build.
+ * Kept inline to avoid pulling in copy-webpack-plugin for a handful of files.
+ */
+class CopyVendorAssetsPlugin {
+	apply(compiler) {
+		compiler.hooks.afterEmit.tap("CopyVendorAssetsPlugin", (compilation) => {
+			const outputPath = compilation.outputOptions.path || path.resolve(__dirname, "dist");
+			vendorAssets.forEach(({ from, to }) => {
+				fs.cpSync(path.resolve(__dirname, "node_modules", from), path.join(outputPath, to), { recursive: true });
+			});
+		});
+	}
+}
+
 //@ts-check
 /** @type {import("webpack").Configuration} */
 const config = {
@@ -41,6 +75,7 @@ const config = {
 			}
 		]
 	},
+	plugins: [new CopyVendorAssetsPlugin()],
 	devtool: "nosources-source-map",
 	infrastructureLogging: {
 		level: "log",